@@ -7,10 +7,19 @@
  *
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
 const rax = require('retry-axios');
 const querystring = require('querystring');
 const cloudIamHelper = require('./cloud-iam-helper');
+const httpConfig = require('./http-config');
+const {
+    AuthError,
+    ConfigError,
+    NotFoundError,
+    toHelperError,
+} = require('./errors');
 
 const log = require('./logger').getLogger('appid-helper');
 
@@ -24,27 +33,33 @@ const retries = 1;
 const retryDelay = 3000;
 const timeout = 10000;
 
+// Tenant public keys used by verifyToken, kid -> PEM
+const publicKeyCache = { keys: new Map(), fetchedAt: 0, refreshing: undefined };
+const publicKeysTTL = 60 * 60 * 1000;
+// Tokens with unknown kids trigger a refresh at most this often, so forged tokens cannot flood AppID
+const minPublicKeysRefreshInterval = 30 * 1000;
+
 const setConfig = (appIDDataObj) => {
     appIDObj = Object.assign(appIDDataObj);
     managementServerUrl = `${appIDObj.url}/management/v4/${appIDObj.tenantID}`;
     oauthServerUrl = `${appIDObj.url}/oauth/v4/${appIDObj.tenantID}`;
     pingServerUrl = `${appIDObj.url}/oauth/v4/${appIDObj.tenantID}/publickeys`;
+    publicKeyCache.keys = new Map();
+    publicKeyCache.fetchedAt = 0;
 };
 
-const validateConfig = () => {
-    let missingVar;
-    if (!appIDObj.url) {
-        missingVar = 'APP_ID_URL';
-    } else if (!appIDObj.clientID) {
-        missingVar = 'APP_ID_CLIENT_ID';
-    } else if (!appIDObj.tenantID) {
-        missingVar = 'APP_ID_TENANT_ID';
-    } else if (!appIDObj.secret) {
-        missingVar = 'APP_ID_SECRET';
-    }
+// config field -> variable named in errors
+const configVars = {
+    url: 'APP_ID_URL',
+    clientID: 'APP_ID_CLIENT_ID',
+    tenantID: 'APP_ID_TENANT_ID',
+    secret: 'APP_ID_SECRET',
+};
 
-    if (missingVar) {
-        throw new Error(`Invalid AppID config: missing variable '${missingVar}'`);
+const validateConfig = (fields = Object.keys(configVars)) => {
+    const missingField = fields.find((field) => !appIDObj[field]);
+    if (missingField) {
+        throw new ConfigError(`Invalid AppID config: missing variable '${configVars[missingField]}'`);
     }
 };
 
@@ -56,6 +71,7 @@ const pingAppID = async () => {
     }, timeout);
 
     const pingClient = axios.create({
+        ...httpConfig.axiosOptions(pingServerUrl),
         baseURL: pingServerUrl,
         timeout: timeout,
         headers: {
@@ -76,7 +92,8 @@ const pingAppID = async () => {
 
 const appIdLoginClient = () => {
     const loginClient = axios.create({
-        baseURL: `${oauthServerUrl}/token`,
+        ...httpConfig.axiosOptions(oauthServerUrl),
+        baseURL: oauthServerUrl,
         timeout: timeout,
         headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -108,44 +125,307 @@ const appIdLoginClient = () => {
     return loginClient;
 };
 
-const loginAppID = async (username, password) => {
+// Posts a form to an AppID OAuth endpoint ('/token' or '/revoke') and returns the response body.
+const oauthRequest = async (path, requestBody, description) => {
     try {
         validateConfig();
         const loginClient = appIdLoginClient();
-        const requestBody = {
-            username,
-            password,
-            grant_type: 'password',
-        };
-        log.debug('Calling AppID to retrieve auth token');
-        const response = await loginClient.post('/', querystring.stringify(requestBody));
-        log.info('Login request to AppID was successful');
+        log.debug(`Calling AppID for ${description}`);
+        const response = await loginClient.post(path, querystring.stringify(requestBody));
+        log.info(`${description} request to AppID was successful`);
 
         return response.data;
     } catch (error) {
-        log.error(`Login request to AppID failed: ${error}`);
-        const errorObj = new Error();
-        if (error.response) {
-            const errorResponse = error.response;
-            errorObj.status = errorResponse.status;
-            errorObj.statusText = errorResponse.statusText;
-            if ('data' in errorResponse) {
-                errorObj.message = errorResponse.data.error_description;
+        log.error(`${description} request to AppID failed: ${error}`);
+        const errorResponse = error.response;
+        const errMsg = (errorResponse && errorResponse.data && errorResponse.data.error_description)
+            || `${description} request to AppID failed: ${error.message}`;
+        // AppID answers 400 invalid_grant for wrong credentials and expired or revoked refresh tokens
+        if (errorResponse && [400, 401, 403].includes(errorResponse.status)) {
+            throw new AuthError(errMsg, { cause: error, status: errorResponse.status });
+        }
+        throw toHelperError(error, errMsg);
+    }
+};
+
+const loginAppID = (username, password) => oauthRequest('/token', {
+    username,
+    password,
+    grant_type: 'password',
+}, 'Login');
+
+// Exchanges a refresh token for new tokens; the response has the same shape as loginAppID's.
+const refreshAppIDToken = async (refreshToken) => {
+    if (!refreshToken) {
+        throw new AuthError('Missing refresh token');
+    }
+    return oauthRequest('/token', {
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token',
+    }, 'Token refresh');
+};
+
+// Revokes a refresh token, ending the session it belongs to. Access tokens already issued
+// stay valid until they expire.
+const revokeAppIDToken = async (refreshToken) => {
+    if (!refreshToken) {
+        throw new AuthError('Missing refresh token');
+    }
+    await oauthRequest('/revoke', {
+        token: refreshToken,
+        token_type_hint: 'refresh_token',
+    }, 'Token revocation');
+};
+
+// DER encoding of an RSA JWK as a PKCS#1 public key; Node 12 cannot import JWKs directly.
+const derElement = (tag, content) => {
+    const lengthBytes = [];
+    for (let length = content.length; length > 0; length >>= 8) {
+        lengthBytes.unshift(length & 0xff);
+    }
+    const header = content.length < 0x80
+        ? [tag, content.length]
+        : [tag, 0x80 | lengthBytes.length, ...lengthBytes];
+    return Buffer.concat([Buffer.from(header), content]);
+};
+
+const derUnsignedInteger = (base64url) => {
+    const bytes = Buffer.from(base64url, 'base64');
+    return derElement(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+};
+
+const rsaJwkToPem = (jwk) => crypto.createPublicKey({
+    key: derElement(0x30, Buffer.concat([derUnsignedInteger(jwk.n), derUnsignedInteger(jwk.e)])),
+    format: 'der',
+    type: 'pkcs1',
+}).export({ type: 'spki', format: 'pem' });
+
+const fetchPublicKeys = async () => {
+    try {
+        const response = await axios.get(pingServerUrl, {
+            ...httpConfig.axiosOptions(pingServerUrl),
+            timeout,
+            headers: { accept: 'application/json' },
+        });
+        const keys = new Map();
+        (response.data.keys || [])
+            .filter((jwk) => jwk.kty === 'RSA' && jwk.kid)
+            .forEach((jwk) => keys.set(jwk.kid, rsaJwkToPem(jwk)));
+        publicKeyCache.keys = keys;
+        publicKeyCache.fetchedAt = Date.now();
+        log.info(`Retrieved ${keys.size} public key(s) from AppID`);
+    } catch (error) {
+        const errMsg = `Failed to retrieve public keys from AppID: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+};
+
+// Concurrent refreshes share one request.
+const refreshPublicKeys = () => {
+    if (!publicKeyCache.refreshing) {
+        publicKeyCache.refreshing = fetchPublicKeys().finally(() => {
+            publicKeyCache.refreshing = undefined;
+        });
+    }
+    return publicKeyCache.refreshing;
+};
+
+const getPublicKey = async (kid) => {
+    const age = Date.now() - publicKeyCache.fetchedAt;
+    const unknownKid = !publicKeyCache.keys.has(kid);
+    if (age > publicKeysTTL || (unknownKid && age > minPublicKeysRefreshInterval)) {
+        try {
+            await refreshPublicKeys();
+        } catch (error) {
+            if (!publicKeyCache.keys.has(kid)) {
+                throw error;
+            }
+            log.warn(`Using cached AppID public key ${kid}`);
+        }
+    }
+
+    const publicKey = publicKeyCache.keys.get(kid);
+    if (!publicKey) {
+        throw new AuthError(`Token signed with unknown key ${kid}`);
+    }
+    return publicKey;
+};
+
+// Access token claim holding the user's TenantID attribute (see updateUserAttributes); AppID
+// adds it when the token configuration maps the attribute. Override with config tenantClaim.
+const defaultTenantClaim = 'TenantID';
+
+// Verified claims of an AppID access token:
+//   { subject, tenant, issuer, audience: [], scopes: [], roles: [], userTenantID,
+//     expiresAt: Date, issuedAt: Date, claims }
+// tenant is the AppID tenant, userTenantID the user's TenantID attribute; roles are present
+// when the token configuration maps them. claims holds all token claims.
+const toIdentity = (claims) => ({
+    subject: claims.sub,
+    tenant: claims.tenant,
+    issuer: claims.iss,
+    audience: [].concat(claims.aud || []),
+    scopes: claims.scope ? claims.scope.split(' ').filter(Boolean) : [],
+    roles: [].concat(claims.roles || []),
+    userTenantID: claims[appIDObj.tenantClaim || defaultTenantClaim],
+    expiresAt: new Date(claims.exp * 1000),
+    issuedAt: claims.iat ? new Date(claims.iat * 1000) : undefined,
+    claims,
+});
+
+// Checks signature (RS256, tenant public keys), issuer, audience, expiry and not-before
+// of an access token and returns its identity (see toIdentity). Throws an AuthError for
+// invalid tokens. options: audience (default: config clientID), issuer (default: the
+// tenant's OAuth server URL), clockTolerance (seconds).
+const verifyToken = async (token, options = {}) => {
+    validateConfig(['url', 'clientID', 'tenantID']);
+    if (!token || typeof token !== 'string') {
+        throw new AuthError('Missing access token');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+        throw new AuthError('Malformed access token');
+    }
+    const publicKey = await getPublicKey(decoded.header.kid);
+
+    try {
+        const claims = jwt.verify(token, publicKey, {
+            algorithms: ['RS256'],
+            issuer: options.issuer || oauthServerUrl,
+            audience: options.audience || appIDObj.clientID,
+            clockTolerance: options.clockTolerance || 0,
+        });
+        return toIdentity(claims);
+    } catch (error) {
+        log.debug(`Access token verification failed: ${error.message}`);
+        throw new AuthError(`Invalid access token: ${error.message}`, { cause: error });
+    }
+};
+
+// Answers a failed request with { status, error, message }, the same shape for all AppID middleware.
+const sendError = (res, error) => {
+    const status = error.status || 500;
+    res.statusCode = status;
+    if (status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    } else if (status === 403) {
+        res.setHeader('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ status, error: error.name, message: error.message }));
+};
+
+const bearerToken = (req) => {
+    const header = (req.headers && req.headers.authorization) || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : undefined;
+};
+
+// Express/Connect middleware that verifies the request's Bearer token and sets
+// req[requestProperty] to its identity. options: audience, issuer, clockTolerance as for
+// verifyToken; requestProperty (default 'identity'); credentialsRequired (default true,
+// false lets requests without a token through unauthenticated); passErrors (call
+// next(error) instead of answering 401 itself).
+const authenticate = (options = {}) => {
+    const requestProperty = options.requestProperty || 'identity';
+    return async (req, res, next) => {
+        const token = bearerToken(req);
+        if (!token && options.credentialsRequired === false) {
+            next();
+            return;
+        }
+
+        try {
+            req[requestProperty] = await verifyToken(token, options);
+        } catch (error) {
+            if (options.passErrors) {
+                next(error);
+            } else {
+                sendError(res, error);
             }
+            return;
+        }
+        next();
+    };
+};
+
+// Checks an identity from verifyToken and throws an AuthError: 401 without an identity,
+// 403 if it lacks a required scope or all of the roles, or belongs to another tenant.
+// requirements: scopes (all required), roles (any one required), tenantID (the user's
+// TenantID attribute must match). A tenantID requirement that is present but empty, or a
+// user without a TenantID attribute, is denied rather than skipped.
+const authorize = (identity, requirements = {}) => {
+    if (!identity) {
+        throw new AuthError('Request is not authenticated');
+    }
+
+    const missingScopes = (requirements.scopes || []).filter((scope) => !identity.scopes.includes(scope));
+    if (missingScopes.length) {
+        throw new AuthError(`Missing required scope(s): ${missingScopes.join(', ')}`, { status: 403 });
+    }
+
+    const roles = requirements.roles || [];
+    if (roles.length && !roles.some((role) => identity.roles.includes(role))) {
+        throw new AuthError(`Requires one of the role(s): ${roles.join(', ')}`, { status: 403 });
+    }
+
+    if (!('tenantID' in requirements)) {
+        return;
+    }
+    if (!requirements.tenantID) {
+        log.warn(`User ${identity.subject} denied access: no tenant to authorize against`);
+        throw new AuthError('Tenant of the request could not be determined', { status: 403 });
+    }
+    if (!identity.userTenantID) {
+        log.warn(`User ${identity.subject} without a tenant denied access to tenant ${requirements.tenantID}`);
+        throw new AuthError(`Access to tenant ${requirements.tenantID} is not allowed`, { status: 403 });
+    }
+    if (identity.userTenantID !== requirements.tenantID) {
+        log.warn(`User ${identity.subject} of tenant ${identity.userTenantID} denied access to tenant ${requirements.tenantID}`);
+        throw new AuthError(`Access to tenant ${requirements.tenantID} is not allowed`, { status: 403 });
+    }
+};
+
+// Middleware enforcing authorize() on req[requestProperty], set by authenticate. options:
+//   tenantID        - expected TenantID, or function (req) => TenantID, e.g. from a route parameter
+//   requestProperty - as for authenticate
+//   passErrors      - call next(error) instead of answering 401/403 itself
+const authorization = (requirements, options = {}) => async (req, res, next) => {
+    try {
+        const checks = { ...requirements };
+        if ('tenantID' in options) {
+            checks.tenantID = typeof options.tenantID === 'function' ? await options.tenantID(req) : options.tenantID;
+        }
+        authorize(req[options.requestProperty || 'identity'], checks);
+    } catch (error) {
+        if (options.passErrors) {
+            next(error);
         } else {
-            errorObj.status = 500;
-            errorObj.statusText = error.code;
-            errorObj.message = error.message;
+            sendError(res, error);
         }
-        throw errorObj;
+        return;
     }
+    next();
 };
 
+// requireScopes(['read', 'write']) lets requests through whose token has all of the scopes.
+const requireScopes = (scopes, options) => authorization({ scopes: [].concat(scopes) }, options);
+
+// requireRole('admin') or requireRole(['admin', 'auditor']) lets requests through whose
+// token has (one of) the role(s).
+const requireRole = (roles, options) => authorization({ roles: [].concat(roles) }, options);
+
+// requireTenant((req) => req.params.tenantID) lets requests through from users of that tenant.
+const requireTenant = (tenantID, options = {}) => authorization({}, { ...options, tenantID });
+
 const appIdMgmtClient = async () => {
     validateConfig();
 
     const token = await cloudIamHelper.getCloudIAMToken(appIDObj.apikey);
     const axClient = axios.create({
+        ...httpConfig.axiosOptions(managementServerUrl),
         baseURL: managementServerUrl,
         timeout: timeout,
         headers: {
@@ -182,8 +462,9 @@ const getAllRolesIds = async (client) => {
         const roles = responseRoles.data.roles.map(({ id }) => id); // getting roles ids to add them to our user
         return roles;
     } catch (error) {
-        log.error(`Failed to get roles from AppID: ${error}`);
-        throw error;
+        const errMsg = `Failed to get roles from AppID: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
@@ -208,8 +489,9 @@ const createUserCloudDirectory = async (username, password, client) => {
         };
         await client.post('/cloud_directory/Users', data); // creating user in cloud directory
     } catch (error) {
-        log.error(`Failed to create user in cloud directory: ${error}`);
-        throw error;
+        const errMsg = `Failed to create user in cloud directory: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
@@ -219,10 +501,14 @@ const activateNewUserProfile = async (username, password, client) => {
         await loginAppID(username, password); // activating user's profile
         const responseUsers = await client.get('/users');
         const user = responseUsers.data.users.find((user) => user.email === username); // finding new user's id
+        if (!user) {
+            throw new NotFoundError(`User ${username} not found in AppID`);
+        }
         return user.id;
     } catch (error) {
-        log.error(`Failed to get new user ID: ${error}`);
-        throw error;
+        const errMsg = `Failed to get new user ID: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
@@ -236,8 +522,9 @@ const updateUserRoles = async (roles, newUserId, client) => {
         };
         await client.put(`/users/${newUserId}/roles`, data); // updating new user's roles
     } catch (error) {
-        log.error(`Failed to update roles: ${error}`);
-        throw error;
+        const errMsg = `Failed to update roles: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
@@ -251,8 +538,9 @@ const updateUserAttributes = async (newUserId, client) => {
         };
         await client.put(`/users/${newUserId}/profile`, data); // updating new user's tenantID
     } catch (error) {
-        log.error(`Failed to update attributes: ${error}`);
-        throw error;
+        const errMsg = `Failed to update attributes: ${error.message}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
@@ -270,41 +558,40 @@ const existUserCheckFunc = async (username, password) => {
     }
 
     if(!isUserExists) {
-        const userObj = {};
-        try {
-            const client = await appIdMgmtClient();
-            const roles = await getAllRolesIds(client);
-            userObj.client = client;
-            userObj.roles = roles;
-        } catch (error) {
-            return error;
-        }
-
-        const { client, roles } = userObj;
+        const client = await appIdMgmtClient();
+        const roles = await getAllRolesIds(client);
 
-        try {
-            await createUserCloudDirectory(username, password, client);
-            newUserId = await activateNewUserProfile(username, password, client);
-            await updateUserRoles(roles, newUserId, client);
-            await updateUserAttributes(newUserId, client);
-        } catch (error) {
-            return error;
-        }
+        await createUserCloudDirectory(username, password, client);
+        newUserId = await activateNewUserProfile(username, password, client);
+        await updateUserRoles(roles, newUserId, client);
+        await updateUserAttributes(newUserId, client);
     };
 };
 
+// Logs the outcome and never rejects, as callers run it at startup without handling
+// errors; existUserCheckFunc throws typed errors.
 const existUserCheck = async (username, password) => {
-    const result = await existUserCheckFunc(username, password);
-    if (result instanceof Error) {
-      log.error(`Login was not successful! ${result}`)
-    } else {
-      log.info('Login was successful!');
+    try {
+        await existUserCheckFunc(username, password);
+    } catch (error) {
+        log.error(`Login was not successful! ${error}`);
+        return;
     }
+    log.info('Login was successful!');
 };
 
 module.exports = {
     setConfig,
     pingAppID,
     loginAppID,
+    refreshAppIDToken,
+    revokeAppIDToken,
+    verifyToken,
+    authenticate,
+    authorize,
+    requireScopes,
+    requireRole,
+    requireTenant,
+    appIdMgmtClient,
     existUserCheck
 };
@@ -0,0 +1,289 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const appIdHelper = require('./app-id-helper');
+const { ValidationError, failureReasons, toHelperError } = require('./errors');
+
+const log = require('./logger').getLogger('appid-provisioning-helper');
+
+// Manifest format, the AppID counterpart of the cloudant-indexes/*.json files:
+// {
+//     "applications": [
+//         { "name": "consent-api", "type": "regularwebapp", "scopes": ["consent.read", "consent.write"] }
+//     ],
+//     "roles": [
+//         {
+//             "name": "consent-admin",
+//             "description": "Manages consents",
+//             "access": [{ "application": "consent-api", "scopes": ["consent.read", "consent.write"] }]
+//         }
+//     ]
+// }
+// Applications are identified by name, roles by name; role access refers to applications by name.
+
+const applicationTypes = ['regularwebapp', 'singlepageapp'];
+
+const isStringArray = (value) => Array.isArray(value) && value.every((entry) => typeof entry === 'string' && entry);
+
+const findDuplicate = (names) => names.find((name, i) => names.indexOf(name) !== i);
+
+const validateManifest = (manifest) => {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new ValidationError('AppID manifest must be an object');
+    }
+    const applications = manifest.applications || [];
+    const roles = manifest.roles || [];
+    if (!Array.isArray(applications) || !Array.isArray(roles)) {
+        throw new ValidationError('AppID manifest applications and roles must be arrays');
+    }
+
+    applications.forEach((app, i) => {
+        if (!app || !app.name) {
+            throw new ValidationError(`AppID manifest application #${i} has no name`);
+        }
+        if (app.type && !applicationTypes.includes(app.type)) {
+            throw new ValidationError(`AppID manifest application ${app.name} has invalid type ${app.type}`);
+        }
+        if (app.scopes && !isStringArray(app.scopes)) {
+            throw new ValidationError(`AppID manifest application ${app.name} scopes must be an array of strings`);
+        }
+    });
+    roles.forEach((role, i) => {
+        if (!role || !role.name) {
+            throw new ValidationError(`AppID manifest role #${i} has no name`);
+        }
+        (role.access || []).forEach((access) => {
+            if (!access || !access.application || !isStringArray(access.scopes || [])) {
+                throw new ValidationError(`AppID manifest role ${role.name} has invalid access ${JSON.stringify(access)}`);
+            }
+        });
+    });
+
+    const duplicateApp = findDuplicate(applications.map((app) => app.name));
+    if (duplicateApp) {
+        throw new ValidationError(`AppID manifest declares application ${duplicateApp} more than once`);
+    }
+    const duplicateRole = findDuplicate(roles.map((role) => role.name));
+    if (duplicateRole) {
+        throw new ValidationError(`AppID manifest declares role ${duplicateRole} more than once`);
+    }
+    return { applications, roles };
+};
+
+const sorted = (values) => [...new Set(values)].sort();
+
+// Role access keyed by application name with sorted scopes, so that tenant and manifest
+// roles compare equal regardless of order. Unknown application IDs are kept as is.
+const normalizeAccess = (access, applicationName) => (access || [])
+    .map((entry) => ({
+        application: applicationName(entry),
+        scopes: sorted(entry.scopes || []),
+    }))
+    .sort((a, b) => a.application.localeCompare(b.application));
+
+const sameAccess = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const newReport = () => ({
+    created: [],
+    updated: [],
+    deleted: [],
+    unchanged: [],
+    failed: [],
+});
+
+// Brings the tenant's applications, application scopes and roles in line with the manifest.
+// Creates missing applications and roles, adds missing scopes and updates roles whose
+// description or access differ. With options.dropUndeclared, scopes and roles that are
+// not in the manifest are deleted; applications are never deleted, as that would revoke
+// their credentials. With options.dryRun nothing is changed.
+//
+// Returns { dryRun, applications, scopes, roles, differences }: a created/updated/deleted/
+// unchanged/failed report per kind (scopes as "application:scope") and the list of
+// differences found, { kind, name, action, current, desired }.
+const provision = async (manifest, options = {}) => {
+    const declared = validateManifest(manifest);
+    const dryRun = Boolean(options.dryRun);
+    const prefix = dryRun ? '[dry run] ' : '';
+    const report = {
+        dryRun,
+        applications: newReport(),
+        scopes: newReport(),
+        roles: newReport(),
+        differences: [],
+    };
+    const difference = (kind, name, action, current, desired) => {
+        report.differences.push({
+            kind, name, action, current, desired,
+        });
+        log.info(`${prefix}AppID ${kind} ${name}: ${action}`);
+    };
+
+    let client;
+    let tenantApps;
+    let tenantRoles;
+    try {
+        client = await appIdHelper.appIdMgmtClient();
+        const [appsResponse, rolesResponse] = await Promise.all([client.get('/applications'), client.get('/roles')]);
+        tenantApps = appsResponse.data.applications || [];
+        tenantRoles = rolesResponse.data.roles || [];
+    } catch (error) {
+        const errMsg = `Failed to read AppID configuration: ${failureReasons(error)}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+
+    // application name -> clientId; undefined for applications a dry run would create
+    const clientIDs = new Map(tenantApps.map((app) => [app.name, app.clientId]));
+
+    for (const app of declared.applications) {
+        const existing = tenantApps.find((tenantApp) => tenantApp.name === app.name);
+        const type = app.type || applicationTypes[0];
+        try {
+            if (!existing) {
+                difference('application', app.name, 'create', undefined, { name: app.name, type });
+                clientIDs.set(app.name, undefined);
+                if (!dryRun) {
+                    // eslint-disable-next-line no-await-in-loop
+                    const { data } = await client.post('/applications', { name: app.name, type });
+                    clientIDs.set(app.name, data.clientId);
+                }
+                report.applications.created.push(app.name);
+            } else if (existing.type && existing.type !== type) {
+                throw new ValidationError(`type is ${existing.type}, not ${type}, and cannot be changed`);
+            } else {
+                report.applications.unchanged.push(app.name);
+            }
+        } catch (error) {
+            log.error(`Failed to provision AppID application ${app.name}: ${failureReasons(error)}`);
+            report.applications.failed.push({ name: app.name, error: failureReasons(error) });
+            if (!existing) {
+                // roles cannot grant access to an application that failed to be created
+                clientIDs.delete(app.name);
+            }
+            continue;
+        }
+
+        const clientID = clientIDs.get(app.name);
+        try {
+            let current = [];
+            if (clientID) {
+                // eslint-disable-next-line no-await-in-loop
+                const { data } = await client.get(`/applications/${encodeURIComponent(clientID)}/scopes`);
+                current = data.scopes || [];
+            }
+            const wanted = sorted(app.scopes || []);
+            const added = wanted.filter((scope) => !current.includes(scope));
+            const removed = options.dropUndeclared ? current.filter((scope) => !wanted.includes(scope)) : [];
+            const result = sorted([...current.filter((scope) => !removed.includes(scope)), ...added]);
+
+            if (added.length || removed.length) {
+                difference('scopes', app.name, 'update', sorted(current), result);
+                if (!dryRun) {
+                    // eslint-disable-next-line no-await-in-loop
+                    await client.put(`/applications/${encodeURIComponent(clientID)}/scopes`, { scopes: result });
+                }
+            }
+            report.scopes.created.push(...added.map((scope) => `${app.name}:${scope}`));
+            report.scopes.deleted.push(...removed.map((scope) => `${app.name}:${scope}`));
+            report.scopes.unchanged.push(...wanted
+                .filter((scope) => !added.includes(scope))
+                .map((scope) => `${app.name}:${scope}`));
+        } catch (error) {
+            log.error(`Failed to provision scopes of AppID application ${app.name}: ${failureReasons(error)}`);
+            report.scopes.failed.push({ name: app.name, error: failureReasons(error) });
+        }
+    }
+
+    const applicationName = (entry) => {
+        const app = tenantApps.find((tenantApp) => tenantApp.clientId === entry.application_id);
+        return app ? app.name : entry.application_id;
+    };
+
+    for (const role of declared.roles) {
+        const existing = tenantRoles.find((tenantRole) => tenantRole.name === role.name);
+        const desired = {
+            name: role.name,
+            description: role.description || '',
+            access: normalizeAccess(role.access, (entry) => entry.application),
+        };
+        try {
+            const unknownApp = desired.access.find((entry) => !clientIDs.has(entry.application));
+            if (unknownApp) {
+                throw new ValidationError(`application ${unknownApp.application} does not exist`);
+            }
+            const body = {
+                name: desired.name,
+                description: desired.description,
+                access: desired.access.map((entry) => ({
+                    application_id: clientIDs.get(entry.application),
+                    scopes: entry.scopes,
+                })),
+            };
+
+            if (!existing) {
+                difference('role', role.name, 'create', undefined, desired);
+                if (!dryRun) {
+                    // eslint-disable-next-line no-await-in-loop
+                    await client.post('/roles', body);
+                }
+                report.roles.created.push(role.name);
+                continue;
+            }
+
+            const current = {
+                name: existing.name,
+                description: existing.description || '',
+                access: normalizeAccess(existing.access, applicationName),
+            };
+            if (current.description === desired.description && sameAccess(current.access, desired.access)) {
+                report.roles.unchanged.push(role.name);
+                continue;
+            }
+            difference('role', role.name, 'update', current, desired);
+            if (!dryRun) {
+                // eslint-disable-next-line no-await-in-loop
+                await client.put(`/roles/${encodeURIComponent(existing.id)}`, body);
+            }
+            report.roles.updated.push(role.name);
+        } catch (error) {
+            log.error(`Failed to provision AppID role ${role.name}: ${failureReasons(error)}`);
+            report.roles.failed.push({ name: role.name, error: failureReasons(error) });
+        }
+    }
+
+    if (options.dropUndeclared) {
+        const declaredRoles = declared.roles.map((role) => role.name);
+        const undeclared = tenantRoles.filter((role) => !declaredRoles.includes(role.name));
+        for (const role of undeclared) {
+            try {
+                difference('role', role.name, 'delete', {
+                    name: role.name,
+                    description: role.description || '',
+                    access: normalizeAccess(role.access, applicationName),
+                }, undefined);
+                if (!dryRun) {
+                    // eslint-disable-next-line no-await-in-loop
+                    await client.delete(`/roles/${encodeURIComponent(role.id)}`);
+                }
+                report.roles.deleted.push(role.name);
+            } catch (error) {
+                log.error(`Failed to delete AppID role ${role.name}: ${failureReasons(error)}`);
+                report.roles.failed.push({ name: role.name, error: failureReasons(error) });
+            }
+        }
+    }
+
+    log.info(`${prefix}Provisioned AppID tenant: ${report.differences.length} difference(s)`);
+    return report;
+};
+
+module.exports = {
+    validateManifest,
+    provision
+};
@@ -0,0 +1,147 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const appIdHelper = require('./app-id-helper');
+const { AuthError } = require('./errors');
+
+const log = require('./logger').getLogger('appid-session');
+
+const defaults = {
+    // seconds before expiry at which the access token is refreshed
+    refreshMargin: 60,
+    // refresh in the background before expiry instead of only when getAccessToken is called
+    autoRefresh: true,
+    // ms between attempts after a failed background refresh
+    retryDelay: 10000,
+};
+
+// AppID tokens of one user that stay valid as long as the refresh token does. Long-running
+// jobs can persist the refresh token (options.onRefresh) instead of the user's password and
+// resume with AppIDSession.fromRefreshToken.
+//
+// options: refreshMargin, autoRefresh, retryDelay,
+//          onRefresh(tokenResponse) - called after every login and refresh, e.g. to store the new refresh token
+class AppIDSession {
+    constructor(tokenResponse, options = {}) {
+        this.options = { ...defaults, ...options };
+        this.timer = undefined;
+        this.refreshing = undefined;
+        this.update(tokenResponse);
+    }
+
+    static async login(username, password, options) {
+        const session = new AppIDSession(await appIdHelper.loginAppID(username, password), options);
+        await session.notify();
+        return session;
+    }
+
+    static async fromRefreshToken(refreshToken, options) {
+        const session = new AppIDSession(await appIdHelper.refreshAppIDToken(refreshToken), options);
+        await session.notify();
+        return session;
+    }
+
+    get accessToken() {
+        return this.tokens && this.tokens.access_token;
+    }
+
+    get idToken() {
+        return this.tokens && this.tokens.id_token;
+    }
+
+    get refreshToken() {
+        return this.tokens && this.tokens.refresh_token;
+    }
+
+    get active() {
+        return Boolean(this.tokens);
+    }
+
+    update(tokenResponse) {
+        // AppID does not always issue a new refresh token on refresh; the previous one stays valid then
+        const refreshToken = tokenResponse.refresh_token || this.refreshToken;
+        this.tokens = { ...tokenResponse, refresh_token: refreshToken };
+        this.expiresAt = Date.now() + (tokenResponse.expires_in || 0) * 1000;
+        this.schedule(this.expiresAt - this.options.refreshMargin * 1000 - Date.now());
+    }
+
+    async notify() {
+        if (this.options.onRefresh) {
+            await this.options.onRefresh(this.tokens);
+        }
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        if (!this.options.autoRefresh || !this.refreshToken) {
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.refresh().catch((error) => {
+                if (error instanceof AuthError || !this.active) {
+                    log.error(`AppID session can no longer be refreshed: ${error.message}`);
+                    return;
+                }
+                log.warn(`Failed to refresh AppID session, retrying in ${this.options.retryDelay} ms`);
+                this.schedule(this.options.retryDelay);
+            });
+        }, Math.max(delay, 0));
+        // a pending refresh must not keep a finished job alive
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    // Returns a valid access token, refreshing it first if it expires within refreshMargin.
+    async getAccessToken() {
+        if (!this.active) {
+            throw new AuthError('AppID session has ended');
+        }
+        if (this.expiresAt - Date.now() <= this.options.refreshMargin * 1000) {
+            await this.refresh();
+        }
+        return this.accessToken;
+    }
+
+    // Concurrent callers share one refresh request.
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                if (!this.refreshToken) {
+                    throw new AuthError('AppID session has no refresh token');
+                }
+                const tokenResponse = await appIdHelper.refreshAppIDToken(this.refreshToken);
+                if (!this.active) {
+                    throw new AuthError('AppID session has ended');
+                }
+                this.update(tokenResponse);
+                await this.notify();
+                log.debug('Refreshed AppID session');
+            })().finally(() => {
+                this.refreshing = undefined;
+            });
+        }
+        return this.refreshing;
+    }
+
+    // Revokes the refresh token and ends the session.
+    async logout() {
+        const { refreshToken } = this;
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        this.tokens = undefined;
+        if (refreshToken) {
+            await appIdHelper.revokeAppIDToken(refreshToken);
+        }
+        log.info('Logged out of AppID session');
+    }
+}
+
+module.exports = AppIDSession;
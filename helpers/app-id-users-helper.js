@@ -0,0 +1,242 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const appIdHelper = require('./app-id-helper');
+const {
+    NotFoundError,
+    ValidationError,
+    failureReasons,
+    toHelperError,
+} = require('./errors');
+
+const log = require('./logger').getLogger('appid-users-helper');
+
+const defaultPageSize = 50;
+const cloudDirectoryProvider = 'cloud_directory';
+
+// Runs fn(client) with a management API client. `action` describes the operation in
+// success and failure messages; failures are thrown as HelperErrors.
+const mgmtRequest = async (action, fn) => {
+    log.debug(`AppID: ${action}`);
+    try {
+        const client = await appIdHelper.appIdMgmtClient();
+        const result = await fn(client);
+        log.info(`AppID: ${action} succeeded`);
+        return result;
+    } catch (error) {
+        const errMsg = `Failed to ${action} in AppID: ${failureReasons(error)}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+};
+
+// User as returned by this module:
+//   { id, email, name, cloudDirectoryID, identities: [{ provider, id }] }
+// id is the AppID profile ID; cloudDirectoryID the Cloud Directory user behind it, if any.
+const toUser = (profile) => {
+    const identities = (profile.identities || []).map((identity) => ({
+        provider: identity.provider,
+        id: identity.id || identity.idpUserId,
+    }));
+    const cloudDirectory = identities.find((identity) => identity.provider === cloudDirectoryProvider);
+    return {
+        id: profile.id,
+        email: profile.email,
+        name: profile.name,
+        cloudDirectoryID: cloudDirectory ? cloudDirectory.id : undefined,
+        identities,
+    };
+};
+
+const requireCloudDirectoryUser = (user) => {
+    if (!user.cloudDirectoryID) {
+        throw new ValidationError(`User ${user.id} is not a Cloud Directory user`);
+    }
+    return user.cloudDirectoryID;
+};
+
+// role names -> role IDs; unknown names are rejected
+const resolveRoleIDs = async (client, roleNames) => {
+    const { data } = await client.get('/roles');
+    const rolesByName = new Map(data.roles.map((role) => [role.name, role.id]));
+    const unknown = roleNames.filter((name) => !rolesByName.has(name));
+    if (unknown.length) {
+        throw new ValidationError(`Unknown AppID role(s): ${unknown.join(', ')}`);
+    }
+    return roleNames.map((name) => rolesByName.get(name));
+};
+
+// The profile includes the user's identities and custom attributes.
+const getUserProfile = async (client, userID) => {
+    const { data } = await client.get(`/users/${encodeURIComponent(userID)}/profile`);
+    return data;
+};
+
+// Returns the user with the given profile ID; throws a NotFoundError if there is none.
+const getUser = (userID) => mgmtRequest(
+    `get user ${userID}`,
+    async (client) => toUser(await getUserProfile(client, userID))
+);
+
+// Returns the user registered with email, or undefined if there is none.
+const findUserByEmail = (email) => mgmtRequest(`find user ${email}`, async (client) => {
+    const { data } = await client.get('/users', { params: { email } });
+    const profile = (data.users || []).find((user) => user.email && user.email.toLowerCase() === email.toLowerCase());
+    return profile ? toUser(profile) : undefined;
+});
+
+// Creates a Cloud Directory user and its profile. user:
+//   email, password        - required
+//   givenName, familyName  - name of the user
+//   userName               - defaults to email
+//   attributes             - custom profile attributes, e.g. { TenantID: 'org1' }
+//   roles                  - role names to assign
+// Returns the new user (see toUser) with its roles.
+const createUser = (user = {}) => {
+    if (!user.email || !user.password) {
+        return Promise.reject(new ValidationError('createUser() requires an email and a password'));
+    }
+    const roleNames = user.roles || [];
+
+    return mgmtRequest(`create user ${user.email}`, async (client) => {
+        // resolve the roles first so an unknown role does not leave a half-provisioned user behind
+        const roleIDs = await resolveRoleIDs(client, roleNames);
+        const name = [user.givenName, user.familyName].filter(Boolean).join(' ');
+        const { data } = await client.post('/cloud_directory/sign_up', {
+            active: true,
+            emails: [{ value: user.email, primary: true }],
+            name: {
+                givenName: user.givenName,
+                familyName: user.familyName,
+                formatted: name || undefined,
+            },
+            userName: user.userName || user.email,
+            password: user.password,
+        }, { params: { shouldCreateProfile: true } });
+
+        const profileID = data.profileId;
+        if (!profileID) {
+            throw new NotFoundError(`AppID did not return a profile for user ${user.email}`);
+        }
+        if (user.attributes) {
+            await client.put(`/users/${encodeURIComponent(profileID)}/profile`, { attributes: user.attributes });
+        }
+        if (roleIDs.length) {
+            await client.put(`/users/${encodeURIComponent(profileID)}/roles`, { roles: { ids: roleIDs } });
+        }
+        return {
+            ...toUser(await getUserProfile(client, profileID)),
+            roles: roleNames,
+        };
+    });
+};
+
+// Updates custom profile attributes. By default the given attributes are merged into the
+// existing ones; with options.replace the attributes are replaced as a whole.
+const updateUserAttributes = (userID, attributes, options = {}) => mgmtRequest(
+    `update attributes of user ${userID}`,
+    async (client) => {
+        let merged = attributes;
+        if (!options.replace) {
+            const { data } = await client.get(`/users/${encodeURIComponent(userID)}/profile`);
+            merged = { ...(data.attributes || {}), ...attributes };
+        }
+        const { data } = await client.put(`/users/${encodeURIComponent(userID)}/profile`, { attributes: merged });
+        return data.attributes || merged;
+    }
+);
+
+// Replaces the roles of a user with the given role names.
+const setUserRoles = (userID, roleNames) => mgmtRequest(`update roles of user ${userID}`, async (client) => {
+    const roleIDs = await resolveRoleIDs(client, roleNames);
+    await client.put(`/users/${encodeURIComponent(userID)}/roles`, { roles: { ids: roleIDs } });
+    return roleNames;
+});
+
+const getUserRoles = (userID) => mgmtRequest(`get roles of user ${userID}`, async (client) => {
+    const { data } = await client.get(`/users/${encodeURIComponent(userID)}/roles`);
+    return (data.roles || []).map((role) => role.name);
+});
+
+// A disabled Cloud Directory user cannot sign in; the profile and its data are kept.
+const setUserActive = (userID, active) => mgmtRequest(
+    `${active ? 'enable' : 'disable'} user ${userID}`,
+    async (client) => {
+        const cloudDirectoryID = requireCloudDirectoryUser(toUser(await getUserProfile(client, userID)));
+        const path = `/cloud_directory/Users/${encodeURIComponent(cloudDirectoryID)}`;
+        const { data } = await client.get(path);
+        const { id, meta, ...scimUser } = data;
+        await client.put(path, { ...scimUser, active });
+    }
+);
+
+const disableUser = (userID) => setUserActive(userID, false);
+
+const enableUser = (userID) => setUserActive(userID, true);
+
+// Deletes the user's profile and, for Cloud Directory users, the Cloud Directory user.
+const deleteUser = (userID) => mgmtRequest(`delete user ${userID}`, async (client) => {
+    const user = toUser(await getUserProfile(client, userID));
+    if (user.cloudDirectoryID) {
+        await client.delete(`/cloud_directory/remove/${encodeURIComponent(user.cloudDirectoryID)}`);
+    } else {
+        await client.delete(`/users/${encodeURIComponent(userID)}`);
+    }
+});
+
+// Returns one page of users: { users, totalResults, startIndex, count, nextStartIndex }.
+// nextStartIndex is undefined on the last page. options: startIndex (0-based), count, email.
+const listUsers = (options = {}) => {
+    const startIndex = options.startIndex || 0;
+    const count = options.count || defaultPageSize;
+    return mgmtRequest(`list users from ${startIndex}`, async (client) => {
+        const params = { startIndex, count };
+        if (options.email) {
+            params.email = options.email;
+        }
+        const { data } = await client.get('/users', { params });
+        const users = (data.users || []).map(toUser);
+        const totalResults = data.totalResults !== undefined ? data.totalResults : users.length;
+        const next = startIndex + users.length;
+        return {
+            users,
+            totalResults,
+            startIndex,
+            count,
+            nextStartIndex: users.length && next < totalResults ? next : undefined,
+        };
+    });
+};
+
+// Follows the pages of listUsers, yielding one user at a time. options.count is the page size.
+async function* iterateUsers(options = {}) {
+    let startIndex = options.startIndex || 0;
+    while (startIndex !== undefined) {
+        // eslint-disable-next-line no-await-in-loop
+        const page = await listUsers({ ...options, startIndex });
+        for (const user of page.users) {
+            yield user;
+        }
+        startIndex = page.nextStartIndex;
+    }
+}
+
+module.exports = {
+    createUser,
+    getUser,
+    findUserByEmail,
+    updateUserAttributes,
+    setUserRoles,
+    getUserRoles,
+    disableUser,
+    enableUser,
+    deleteUser,
+    listUsers,
+    iterateUsers
+};
@@ -0,0 +1,24 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+// JSON.stringify with sorted object keys, so that equal values serialize the same
+// regardless of the order their keys were added in.
+const canonicalJSON = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+module.exports = canonicalJSON;
@@ -0,0 +1,213 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const { ConfigError, toHelperError } = require('./errors');
+
+const log = require('./logger').getLogger('changes-follower');
+
+const defaults = {
+  batchSize: 100,
+  timeout: 30000,
+  includeDocs: true,
+  minBackoff: 1000,
+  maxBackoff: 60000,
+  maxAttempts: Infinity,
+};
+
+// Follows the _changes feed of a database (or of one partition of it) and calls
+// handler(change) for every change, one at a time and in feed order. After each
+// batch has been handled, the last sequence is saved to the local document
+// _local/<checkpointId>, so a restarted follower resumes where it stopped.
+// A change whose handler throws is delivered again after a backoff, up to maxAttempts
+// times in all (default: until it succeeds). Then it is skipped and
+// onError(error, change) is called, e.g. to park it elsewhere; if onError throws, the
+// change is delivered again.
+//
+// options: db, handler, checkpointId, partitionKey, selector, batchSize,
+//          timeout (longpoll ms), includeDocs, minBackoff, maxBackoff, since,
+//          maxAttempts, onError
+class ChangesFollower {
+  constructor(cloudantHelper, options) {
+    if (!options || !options.db) {
+      throw new ConfigError('ChangesFollower is missing a db option');
+    }
+    if (typeof options.handler !== 'function') {
+      throw new ConfigError('ChangesFollower is missing a handler function');
+    }
+    if (!options.checkpointId) {
+      throw new ConfigError('ChangesFollower is missing a checkpointId option');
+    }
+
+    this.cloudantHelper = cloudantHelper;
+    this.options = { ...defaults, ...options };
+    this.running = false;
+    this.since = undefined;
+    this.checkpointRev = undefined;
+    this.checkpointLoaded = false;
+    this.backoff = 0;
+    this.wakeUp = undefined;
+    // { seq, attempts } of the change whose handler last failed
+    this.failure = undefined;
+  }
+
+  // The checkpoint is loaded by the follow loop, so a failing load is retried with backoff.
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.loop = this.follow();
+  }
+
+  async stop() {
+    this.running = false;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+    await this.loop;
+    log.info(`Stopped following changes in database ${this.options.db}`);
+  }
+
+  async follow() {
+    while (this.running) {
+      try {
+        if (!this.checkpointLoaded) {
+          // eslint-disable-next-line no-await-in-loop
+          await this.loadCheckpoint();
+          log.info(`Following changes in database ${this.options.db} since ${this.since || 'now'}`);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await this.processBatch();
+        this.backoff = 0;
+      } catch (err) {
+        this.backoff = this.backoff
+          ? Math.min(this.backoff * 2, this.options.maxBackoff)
+          : this.options.minBackoff;
+        log.error(`Failed to process changes in database ${this.options.db}, retrying in ${this.backoff} ms: ${err.message}`);
+        // eslint-disable-next-line no-await-in-loop
+        await this.sleep(this.backoff);
+      }
+    }
+  }
+
+  async processBatch() {
+    const { db, batchSize, timeout, includeDocs } = this.options;
+    const params = {
+      db,
+      feed: 'longpoll',
+      since: this.since || 'now',
+      limit: batchSize,
+      timeout,
+      includeDocs,
+    };
+    const selector = this.buildSelector();
+    if (selector) {
+      params.filter = '_selector';
+      params.selector = selector;
+    }
+
+    const { result } = await this.cloudantHelper.cloudant.postChanges(params);
+    for (const change of result.results) {
+      if (!this.running) {
+        return;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await this.handleChange(change);
+      this.since = change.seq;
+    }
+    this.since = result.last_seq;
+    if (result.results.length) {
+      await this.saveCheckpoint();
+    }
+  }
+
+  async handleChange(change) {
+    try {
+      await this.options.handler(change);
+      this.failure = undefined;
+    } catch (err) {
+      const attempts = this.failure && this.failure.seq === change.seq ? this.failure.attempts + 1 : 1;
+      this.failure = { seq: change.seq, attempts };
+      if (attempts < this.options.maxAttempts) {
+        throw err;
+      }
+      log.error(`Skipping change ${change.id} in database ${this.options.db} after ${attempts} failed attempt(s): ${err.message}`);
+      if (this.options.onError) {
+        await this.options.onError(err, change);
+      }
+      this.failure = undefined;
+    }
+  }
+
+  buildSelector() {
+    const { selector, partitionKey } = this.options;
+    if (!partitionKey) {
+      return selector;
+    }
+    const partitionSelector = { _id: { $regex: `^${partitionKey}:` } };
+    return selector ? { $and: [partitionSelector, selector] } : partitionSelector;
+  }
+
+  async loadCheckpoint() {
+    const { db, checkpointId } = this.options;
+    try {
+      const { result } = await this.cloudantHelper.cloudant.getLocalDocument({ db, docId: checkpointId });
+      this.since = result.since;
+      this.checkpointRev = result._rev;
+      this.checkpointLoaded = true;
+    } catch (err) {
+      if (err.status !== 404) {
+        const errMsg = `Failed to load changes checkpoint ${checkpointId} in database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
+      }
+      this.since = this.options.since;
+      this.checkpointLoaded = true;
+      log.debug(`No changes checkpoint ${checkpointId} found in database ${db}`);
+    }
+  }
+
+  async saveCheckpoint() {
+    const { db, checkpointId } = this.options;
+    const document = { since: this.since };
+    if (this.checkpointRev) {
+      document._rev = this.checkpointRev;
+    }
+    let result;
+    try {
+      ({ result } = await this.cloudantHelper.cloudant.putLocalDocument({ db, docId: checkpointId, document }));
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
+      }
+      // Another follower saved the same checkpoint. Without taking over its revision every
+      // later save would conflict as well and this follower would never checkpoint again.
+      log.warn(`Changes checkpoint ${checkpointId} in database ${db} was saved by another follower; checkpointIds must be unique per follower`);
+      const { result: current } = await this.cloudantHelper.cloudant.getLocalDocument({ db, docId: checkpointId });
+      document._rev = current._rev;
+      ({ result } = await this.cloudantHelper.cloudant.putLocalDocument({ db, docId: checkpointId, document }));
+    }
+    this.checkpointRev = result.rev;
+    log.debug(`Saved changes checkpoint ${checkpointId} in database ${db}: ${this.since}`);
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      this.wakeUp = undefined;
+    });
+  }
+}
+
+module.exports = ChangesFollower;
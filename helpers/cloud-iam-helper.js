@@ -9,24 +9,34 @@
 
 const axios = require('axios');
 
+const crypto = require('crypto');
 const querystring = require('querystring');
-const https = require('https');
+
+const httpConfig = require('./http-config');
+const { AuthError, ConfigError, toHelperError } = require('./errors');
 
 const log = require('./logger').getLogger('cloud-iam-helper');
 
-const iamUrl = 'https://iam.cloud.ibm.com/identity/token';
+const cacheOptions = {
+  // a token is not handed out once it expires within this many seconds
+  refreshMargin: 60,
+  // a token expiring within this many seconds is still handed out, but refreshed in the background
+  proactiveRefreshWindow: 300,
+};
 
-async function getCloudIAMToken(apiKey) {
-    try {
+// sha256(apiKey) -> { token, expiration, refreshing }
+const tokenCache = new Map();
 
-      if (!apiKey) {
-        throw new Error('getCloudIAMToken() is missing an API key argument');
-      }
+const cacheKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+async function requestCloudIAMToken(apiKey) {
+    if (!apiKey) {
+      throw new ConfigError('getCloudIAMToken() is missing an API key argument');
+    }
 
+    try {
       log.info('getCloudIAMToken()');
-      const agent = new https.Agent({
-        rejectUnauthorized: false,
-      });
+      const iamUrl = httpConfig.getIamUrl();
 
       const reqBody = querystring.stringify({
         grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
@@ -37,24 +47,82 @@ async function getCloudIAMToken(apiKey) {
         iamUrl,
         reqBody,
         {
-          httpsAgent: agent,
+          ...httpConfig.axiosOptions(iamUrl),
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
             accept: 'application/json',
           },
         }
       );
-      return response.data.access_token;
+      return response.data;
     } catch (error) {
       const errMsg = `Failed to get Cloud IAM token: ${error.message}`;
       log.error(errMsg);
-      const errorObj = new Error();
-      errorObj.statusCode = error.response ? error.response.status : 500;
-      errorObj.message = errMsg;
-      throw errorObj;
+      // IAM answers 400 for an unknown or malformed API key
+      const status = error.response && error.response.status;
+      if (status === 400 || status === 401 || status === 403) {
+        throw new AuthError(errMsg, { cause: error, status });
+      }
+      throw toHelperError(error, errMsg);
     }
   }
 
+// Fetches a token and stores it; concurrent callers for the same key share one request.
+const refreshCloudIAMToken = (apiKey) => {
+  const key = cacheKey(apiKey);
+  const entry = tokenCache.get(key) || {};
+  if (!entry.refreshing) {
+    entry.refreshing = requestCloudIAMToken(apiKey)
+      .then((data) => {
+        const expiration = data.expiration || Math.floor(Date.now() / 1000) + (data.expires_in || 0);
+        tokenCache.set(key, { token: data.access_token, expiration });
+        return data.access_token;
+      })
+      .finally(() => {
+        delete entry.refreshing;
+      });
+    tokenCache.set(key, entry);
+  }
+  return entry.refreshing;
+};
+
+// Returns a cached token for apiKey, fetching a new one shortly before it expires.
+// Every helper calling this with the same API key shares the cached token.
+async function getCloudIAMToken(apiKey) {
+  if (!apiKey) {
+    return requestCloudIAMToken(apiKey);
+  }
+
+  const entry = tokenCache.get(cacheKey(apiKey));
+  const now = Math.floor(Date.now() / 1000);
+  if (!entry || !entry.token || entry.expiration - now <= cacheOptions.refreshMargin) {
+    return refreshCloudIAMToken(apiKey);
+  }
+
+  if (entry.expiration - now <= cacheOptions.proactiveRefreshWindow && !entry.refreshing) {
+    log.debug('Cloud IAM token expires soon, refreshing in the background');
+    refreshCloudIAMToken(apiKey).catch(() => {
+      // already logged; the current token stays valid until the refresh margin
+    });
+  }
+  return entry.token;
+}
+
+// Drops the cached token for apiKey, or all cached tokens, e.g. after a 401 from a service.
+const invalidateCloudIAMToken = (apiKey) => {
+  if (apiKey) {
+    tokenCache.delete(cacheKey(apiKey));
+  } else {
+    tokenCache.clear();
+  }
+};
+
+const setTokenCacheOptions = (options) => {
+  Object.assign(cacheOptions, options);
+};
+
   module.exports = {
-    getCloudIAMToken
+    getCloudIAMToken,
+    invalidateCloudIAMToken,
+    setTokenCacheOptions
   };
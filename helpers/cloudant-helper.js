@@ -7,20 +7,65 @@
  *
  */
 
+const crypto = require('crypto');
 const { CloudantV1 } = require('@ibm-cloud/cloudant');
 const {
   IamAuthenticator,
   BasicAuthenticator,
 } = require('ibm-cloud-sdk-core');
 
+const piiCrypto = require('./pii-crypto-helper');
+const {
+  AuthError,
+  ConfigError,
+  ConflictError,
+  HelperError,
+  NotFoundError,
+  ValidationError,
+  toHelperError,
+} = require('./errors');
+const httpConfig = require('./http-config');
+const ChangesFollower = require('./changes-follower');
+const MemoryCloudant = require('./memory-cloudant');
+const canonicalJSON = require('./canonical-json');
+
 const log = require('./logger').getLogger('cloudant-helper');
 
-let cloudantObj;
+const defaultPageSize = 200;
+const defaultBulkBatchSize = 500;
+const resolveBatchSize = 100;
+const defaultBulkMaxRetries = 3;
+const bulkConflictPolicies = ['fail', 'skip', 'retry', 'merge'];
+
+// Deterministic document key for a PII value, keyed with the piiIdSecret config value.
+// A bare hash of the value could be reversed by hashing guessed PII values. Object values
+// are serialized with sorted keys, so key order does not yield a second pseudonym.
+const piiDocumentKey = (pii, secret) => {
+  const value = typeof pii === 'string' ? pii : canonicalJSON(pii);
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+};
+
+// Cloudant reports index fields as [{ field: 'asc' }] for json indexes and
+// [{ field: 'string' }] for text indexes, while declarations may use the short forms.
+const normalizeIndexFields = (fields, type) => (fields || []).map((field) => {
+  if (typeof field === 'string') {
+    return { [field]: type === 'text' ? 'string' : 'asc' };
+  }
+  if (field.name && field.type) {
+    return { [field.name]: field.type };
+  }
+  return field;
+});
 
-function initCloudant() {
+function initCloudant(cloudantObj) {
 
     if (!cloudantObj.connection) {
-      throw new Error('Missing DB connection configuration');
+      throw new ConfigError('Missing DB connection configuration');
+    }
+
+    // 'memory' selects the in-memory backend, e.g. for offline unit tests.
+    if (cloudantObj.connection.backend === 'memory') {
+      return new MemoryCloudant();
     }
 
     // As long as user provides 'iamApiKey' and 'account' values in config file
@@ -30,10 +75,15 @@ function initCloudant() {
       log.info('Use IAM auth for DB connection');
 
       const authenticator = new IamAuthenticator({
+        ...httpConfig.sdkOptions(httpConfig.getIamUrl()),
         apikey: cloudantObj.connection.iamApiKey,
+        url: httpConfig.getIamUrl(),
       });
 
-      const service = new CloudantV1({ authenticator });
+      const service = new CloudantV1({
+        ...httpConfig.sdkOptions(cloudantObj.connection.url),
+        authenticator,
+      });
 
       service.setServiceUrl(cloudantObj.connection.url);
 
@@ -52,7 +102,12 @@ function initCloudant() {
         password: cloudantObj.connection.password,
       });
 
-      const service = new CloudantV1({ authenticator });
+      // connection.proxyUrl replaces the service URL (a reverse proxy in front of Cloudant);
+      // forward proxies are configured through http-config.
+      const service = new CloudantV1({
+        ...httpConfig.sdkOptions(cloudantObj.connection.proxyUrl || cloudantObj.connection.url),
+        authenticator,
+      });
 
       if (cloudantObj.connection.proxyUrl) {
         service.setServiceUrl(cloudantObj.connection.proxyUrl);
@@ -62,28 +117,87 @@ function initCloudant() {
 
       return service;
     }
-    throw new Error('Missing DB credentials');
+    throw new ConfigError('Missing DB credentials');
   }
 
-  let instance;
+  const defaultConnectionName = 'default';
+  // Connections by name; getInstance() manages the 'default' one.
+  const connections = new Map();
+
   class CloudantHelperLib {
+    constructor(cloudantDataObj, name = defaultConnectionName) {
+      this.config = { ...cloudantDataObj };
+      this.name = name;
+    }
+
+    // Returns the default connection, registering it with cloudantDataObj on the first call.
+    // The configuration of an existing connection is never replaced.
     static getInstance(cloudantDataObj) {
-        cloudantObj = Object.assign(cloudantDataObj);
+      const instance = connections.get(defaultConnectionName);
       if (!instance) {
-        instance = new CloudantHelperLib();
-      } else if (!instance.cloudant) {
+        return CloudantHelperLib.createConnection(defaultConnectionName, cloudantDataObj);
+      }
+      if (!instance.cloudant) {
         const errMsg = 'Cloudant was not initialized during startup, please check configuration';
         log.error(errMsg);
-        // eslint-disable-next-line no-throw-literal
-        throw { status: 500, message: errMsg };
+        throw new ConfigError(errMsg);
+      }
+      if (cloudantDataObj && JSON.stringify(cloudantDataObj) !== JSON.stringify(instance.config)) {
+        log.warn('Ignoring a different configuration for the existing default Cloudant connection');
       }
       return instance;
     }
 
+    // Registers a named connection with its own configuration (credentials, dbPartitionKey, ...).
+    // Call setupCloudant() on the returned connection before using it.
+    static createConnection(name, cloudantDataObj) {
+      if (!name) {
+        throw new ConfigError('Missing Cloudant connection name');
+      }
+      if (!cloudantDataObj) {
+        throw new ConfigError(`Missing configuration for Cloudant connection '${name}'`);
+      }
+      if (connections.has(name)) {
+        throw new ConflictError(`Cloudant connection '${name}' already exists`);
+      }
+      const instance = new CloudantHelperLib(cloudantDataObj, name);
+      connections.set(name, instance);
+      log.info(`Registered Cloudant connection '${name}'`);
+      return instance;
+    }
+
+    static getConnection(name = defaultConnectionName) {
+      const instance = connections.get(name);
+      if (!instance) {
+        throw new NotFoundError(`Cloudant connection '${name}' does not exist`);
+      }
+      return instance;
+    }
+
+    static hasConnection(name = defaultConnectionName) {
+      return connections.has(name);
+    }
+
+    static listConnections() {
+      return [...connections.keys()];
+    }
+
+    // Unregisters a connection and drops its client; the name can be registered again afterwards.
+    static closeConnection(name = defaultConnectionName) {
+      const instance = connections.get(name);
+      if (!instance) {
+        return false;
+      }
+      instance.cloudant = undefined;
+      connections.delete(name);
+      log.info(`Closed Cloudant connection '${name}'`);
+      return true;
+    }
+
     async setupCloudant() {
       if (!this.cloudant) {
         try {
-          this.cloudant = await initCloudant();
+          this.cloudant = await initCloudant(this.config);
         } catch (err) {
           log.error(`Failed to initCloudant: ${err}`);
           throw err;
@@ -112,12 +226,12 @@ function initCloudant() {
         )
           .finally(() => clearTimeout(timer));
       };
-      const timeoutError = new Error(`Request timed out after ${cloudantObj.connection.timeout} ms`);
+      const timeoutError = new Error(`Request timed out after ${this.config.connection.timeout} ms`);
 
       try {
         return await timeout(
           this.pingCloudant(),
-          cloudantObj. connection.timeout,
+          this.config.connection.timeout,
           timeoutError,
         );
       } catch (error) {
@@ -126,7 +240,9 @@ function initCloudant() {
       }
     }
 
-    async getOrCreateDB(db, indexes) {
+    // When options.reconcile is set and the database already exists, the declared
+    // indexes are reconciled against the database and the report is returned.
+    async getOrCreateDB(db, indexes, options = {}) {
       try {
         await this.cloudant.getDatabaseInformation({ db });
         log.info(`Successfully got Cloudant database ${db}`);
@@ -134,7 +250,136 @@ function initCloudant() {
         const debugMsg = `Failed to get Cloudant database ${db}: ${err.message}`;
         log.error(debugMsg);
         await this.createDB(db, indexes);
+        return undefined;
+      }
+
+      if (options.reconcile) {
+        return this.reconcileIndexes(db, indexes, options);
       }
+      return undefined;
+    }
+
+    // Creates missing indexes and design documents, recreates indexes and updates
+    // design documents whose definitions changed and, with options.dropUndeclared,
+    // deletes indexes that are no longer declared.
+    async reconcileIndexes(db, indexes, options = {}) {
+      const report = {
+        created: [],
+        updated: [],
+        deleted: [],
+        unchanged: [],
+        failed: [],
+      };
+      const declared = Array.isArray(indexes) ? indexes : [];
+
+      const { result } = await this.cloudant.getIndexesInformation({ db });
+      const existingIndexes = result.indexes.filter((index) => index.type !== 'special');
+
+      for (const payload of declared) {
+        const isIndex = Object.keys(payload)[0] === 'index';
+        const name = isIndex ? payload.name : payload.ddoc;
+        try {
+          if (isIndex) {
+            // eslint-disable-next-line no-await-in-loop
+            const action = await this.reconcileIndex(db, payload, existingIndexes);
+            report[action].push(name);
+          } else {
+            // eslint-disable-next-line no-await-in-loop
+            const action = await this.reconcileDesignDocument(db, payload);
+            report[action].push(name);
+          }
+        } catch (err) {
+          log.error(`Failed to reconcile ${name} in database ${db}: ${err.message}`);
+          report.failed.push({ name, error: err.message });
+        }
+      }
+
+      if (options.dropUndeclared) {
+        const declaredNames = declared
+          .filter((payload) => Object.keys(payload)[0] === 'index')
+          .map((payload) => payload.name);
+        const undeclared = existingIndexes.filter((index) => !declaredNames.includes(index.name));
+        for (const index of undeclared) {
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            await this.dropIndex(db, index);
+            report.deleted.push(index.name);
+          } catch (err) {
+            log.error(`Failed to delete index ${index.name} in database ${db}: ${err.message}`);
+            report.failed.push({ name: index.name, error: err.message });
+          }
+        }
+      }
+
+      log.info(`Reconciled indexes in database ${db}: ${JSON.stringify(report)}`);
+      return report;
+    }
+
+    async reconcileIndex(db, payload, existingIndexes) {
+      const existing = existingIndexes.find((index) => index.name === payload.name);
+      if (!existing) {
+        await this.cloudant.postIndex({ db, ...payload });
+        log.info(`Created missing index ${payload.name} in database ${db}`);
+        return 'created';
+      }
+
+      const declaredType = payload.type || 'json';
+      const sameFields = canonicalJSON(normalizeIndexFields(existing.def.fields, existing.type))
+        === canonicalJSON(normalizeIndexFields(payload.index.fields, declaredType));
+      const samePartialFilter = canonicalJSON(existing.def.partial_filter_selector || {})
+        === canonicalJSON(payload.index.partial_filter_selector || {});
+      if (existing.type === declaredType && sameFields && samePartialFilter) {
+        return 'unchanged';
+      }
+
+      // Mango index definitions cannot be modified in place.
+      await this.dropIndex(db, existing);
+      await this.cloudant.postIndex({ db, ...payload });
+      log.info(`Recreated changed index ${payload.name} in database ${db}`);
+      return 'updated';
+    }
+
+    async reconcileDesignDocument(db, payload) {
+      let existing;
+      try {
+        const { result } = await this.cloudant.getDesignDocument({ db, ddoc: payload.ddoc });
+        existing = result;
+      } catch (err) {
+        if (err.status !== 404) {
+          throw err;
+        }
+      }
+
+      if (!existing) {
+        await this.createDesignDocument(db, payload);
+        return 'created';
+      }
+
+      const existingBody = { ...existing };
+      const declaredBody = { ...payload.designDocument };
+      ['_id', '_rev'].forEach((key) => {
+        delete existingBody[key];
+        delete declaredBody[key];
+      });
+      if (canonicalJSON(existingBody) === canonicalJSON(declaredBody)) {
+        return 'unchanged';
+      }
+
+      await this.createDesignDocument(db, {
+        ...payload,
+        designDocument: { ...payload.designDocument, _rev: existing._rev },
+      });
+      return 'updated';
+    }
+
+    async dropIndex(db, index) {
+      await this.cloudant.deleteIndex({
+        db,
+        ddoc: index.ddoc.replace(/^_design\//, ''),
+        type: index.type,
+        index: index.name,
+      });
+      log.info(`Deleted index ${index.name} in database ${db}`);
     }
 
     async createDB(db, indexes) {
@@ -152,8 +397,9 @@ function initCloudant() {
           }
         }
       } catch (e) {
-        log.error(`Failed to create Cloudant database ${db}: ${e.message}`);
-        throw e;
+        const errMsg = `Failed to create Cloudant database ${db}: ${e.message}`;
+        log.error(errMsg);
+        throw toHelperError(e, errMsg);
       }
     }
 
@@ -171,8 +417,9 @@ function initCloudant() {
         await this.cloudant.putDesignDocument({ db, ...payload });
         log.info(`Created the design view in the database ${db}`);
       } catch (err) {
-        log.error(`Failed to create design view in the database ${db}: ${err.message}`);
-        throw err;
+        const errMsg = `Failed to create design view in the database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
       }
     }
 
@@ -187,8 +434,9 @@ function initCloudant() {
         });
         return result;
       } catch (err) {
-        log.error(`Failed to getting a list of all documents by view in the database ${db}: ${err.message}`);
-        throw err;
+        const errMsg = `Failed to getting a list of all documents by view in the database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
       }
     }
 
@@ -200,8 +448,8 @@ function initCloudant() {
       const { result } = await this.cloudant.postDocument({
         db,
         document: {
-          _id: `${cloudantObj.dbPartitionKey}:${id}`,
-          pii,
+          _id: `${this.config.dbPartitionKey}:${id}`,
+          ...await this.piiFields(pii),
           dePii,
         },
       });
@@ -213,14 +461,242 @@ function initCloudant() {
       };
     }
 
-    async findByQuery(db, selector) {
+    // Returns the existing pseudonym for pii or creates one. The document ID is derived
+    // from pii, so concurrent callers race on the same ID and the loser of the insert
+    // reads back the winner's dePii. Requires config.piiIdSecret or config.piiEncryption
+    // to key the document ID.
+    async findOrCreatePii(db, pii) {
+      if (!this.config.piiEncryption && !this.config.piiIdSecret) {
+        throw new ConfigError('findOrCreatePii() requires piiIdSecret or piiEncryption in the Cloudant config');
+      }
+      let docIds = await this.piiDocumentIds(pii);
+      let existing = await this.findFirstDocument(db, docIds);
+      if (!existing && this.config.piiEncryption) {
+        // another replica may have indexed pii with a newer index key version
+        const refreshed = await this.piiDocumentIds(pii, { refresh: true });
+        if (refreshed[0] !== docIds[0]) {
+          docIds = refreshed;
+          existing = await this.findFirstDocument(db, docIds);
+        }
+      }
+      if (existing) {
+        return { dePii: existing.dePii, pii };
+      }
+      const [docId] = docIds;
+
+      // PII saved by savePii before keyed IDs were introduced, or in plaintext before
+      // encryption was enabled, keeps its pseudonym.
+      const [legacyDoc] = await this.findByQuery(db, { pii }, { limit: 1 });
+      if (legacyDoc) {
+        return { dePii: legacyDoc.dePii, pii };
+      }
+
+      const { result: generatedUuid } = await this.cloudant.getUuids({ count: 1 });
+      const dePii = generatedUuid.uuids[0];
+      try {
+        const { result } = await this.cloudant.putDocument({
+          db,
+          docId,
+          document: {
+            _id: docId,
+            ...await this.piiFields(pii),
+            dePii,
+          },
+        });
+        log.info(`PII has been saved successfully: ${JSON.stringify(result)}`);
+        return { dePii, pii };
+      } catch (err) {
+        if (err.status !== 409) {
+          const errMsg = `Failed to save PII in the database ${db}: ${err.message}`;
+          log.error(errMsg);
+          throw toHelperError(err, errMsg);
+        }
+      }
+
+      log.debug('PII was saved concurrently, using the existing pseudonym');
+      const winner = await this.getDocument(db, docId);
+      return { dePii: winner.dePii, pii };
+    }
+
+    // Candidate document IDs for pii, the one used for new documents first. With PII
+    // encryption there is one per version of the index key; options as for blindIndexes.
+    async piiDocumentIds(pii, options) {
+      if (!this.config.piiEncryption) {
+        return [`${this.config.dbPartitionKey}:${piiDocumentKey(pii, this.config.piiIdSecret)}`];
+      }
+      const indexes = await piiCrypto.blindIndexes(pii, this.config.piiEncryption.indexKeyName, options);
+      return indexes.map(({ hash }) => `${this.config.dbPartitionKey}:${hash}`);
+    }
+
+    async findFirstDocument(db, docIds) {
+      for (const docId of docIds) {
+        // eslint-disable-next-line no-await-in-loop
+        const doc = await this.getDocumentIfExists(db, docId);
+        if (doc) {
+          return doc;
+        }
+      }
+      return undefined;
+    }
+
+    // Resolves a pseudonym to { dePii, found: true, pii } or { dePii, found: false }.
+    // See resolveDePiiBulk for options.
+    async resolveDePii(db, dePii, options = {}) {
+      const [result] = await this.resolveDePiiBulk(db, [dePii], options);
+      return result;
+    }
+
+    // Resolves pseudonyms in input order. options.authorize({ dePiis, context }) is called
+    // before any lookup and must resolve to true, otherwise a 403 error is thrown;
+    // options.context is passed through to it and to the audit log.
+    async resolveDePiiBulk(db, dePiis, options = {}) {
+      if (!Array.isArray(dePiis)) {
+        throw new ValidationError('resolveDePiiBulk() expects an array of pseudonyms');
+      }
+      const context = options.context || {};
+      if (options.authorize) {
+        const allowed = await options.authorize({ dePiis, context });
+        if (!allowed) {
+          const errMsg = `Re-identification of ${dePiis.length} pseudonym(s) was not authorized`;
+          log.warn(`${errMsg} (context: ${JSON.stringify(context)})`);
+          throw new AuthError(errMsg, { status: 403 });
+        }
+      }
+
+      const unique = [...new Set(dePiis)];
+      const resolved = new Map();
+      for (let start = 0; start < unique.length; start += resolveBatchSize) {
+        const selector = { dePii: { $in: unique.slice(start, start + resolveBatchSize) } };
+        // Plaintext documents are found through dePii-pii-index, encrypted ones through dePii-index.
+        if (!this.config.piiEncryption) {
+          selector.pii = { $exists: true };
+        }
+        // eslint-disable-next-line no-await-in-loop
+        for await (const doc of this.iterateByQuery(db, selector, { fields: ['dePii', 'pii'] })) {
+          if (!resolved.has(doc.dePii) && doc.pii !== undefined) {
+            resolved.set(doc.dePii, doc.pii);
+          }
+        }
+      }
+
+      log.info(`Re-identified ${resolved.size} of ${unique.length} pseudonym(s) in database ${db} (context: ${JSON.stringify(context)})`);
+      return dePiis.map((dePii) => (resolved.has(dePii)
+        ? { dePii, found: true, pii: resolved.get(dePii) }
+        : { dePii, found: false }));
+    }
+
+    // With config.piiEncryption ({ keyName, indexKeyName }) PII is stored encrypted
+    // with a blind index instead of in plaintext.
+    async piiFields(pii) {
+      if (!this.config.piiEncryption) {
+        return { pii };
+      }
+      return piiCrypto.protectPii(pii, this.config.piiEncryption);
+    }
+
+    // Rewrites a plaintext pii lookup to the blind index when PII is encrypted. An object
+    // value is looked up as PII unless its keys are Mango operators, of which only $eq works.
+    // Documents written in plaintext before encryption was enabled still match on pii.
+    async piiSelector(selector) {
+      if (!this.config.piiEncryption || !selector || !('pii' in selector)) {
+        return selector;
+      }
+      const { pii, ...rest } = selector;
+      const isOperator = pii && typeof pii === 'object' && !Array.isArray(pii)
+        && Object.keys(pii).some((key) => key.startsWith('$'));
+      if (isOperator && (Object.keys(pii).length !== 1 || !('$eq' in pii))) {
+        throw new ValidationError('Only equality lookups on pii are supported for encrypted PII');
+      }
+      const value = isOperator ? pii.$eq : pii;
+      // documents indexed with earlier versions of the index key must match as well
+      const indexes = await piiCrypto.blindIndexes(value, this.config.piiEncryption.indexKeyName);
+      const hashes = indexes.map(({ hash }) => hash);
+      const match = {
+        $or: [
+          { piiHash: hashes.length === 1 ? hashes[0] : { $in: hashes } },
+          { pii: { $eq: value } },
+        ],
+      };
+      return '$or' in rest ? { $and: [rest, match] } : { ...rest, ...match };
+    }
+
+    async getDocumentIfExists(db, docId) {
+      try {
+        const { result } = await this.cloudant.getDocument({ db, docId });
+        return result;
+      } catch (err) {
+        if (err.status === 404) {
+          return undefined;
+        }
+        const errMsg = `Failed to retrieve a document in the database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
+      }
+    }
+
+    async findByQuery(db, selector, options = {}) {
+      const { docs } = await this.findPageByQuery(db, selector, options);
+      return docs;
+    }
+
+    // options: fields, sort, limit, use_index, bookmark (Cloudant Query names)
+    async findPageByQuery(db, selector, options = {}) {
       log.debug('Search for existing PII/PHI');
-      const { result } = await this.cloudant.postPartitionFind({
+      const params = {
         db,
-        partitionKey: cloudantObj.dbPartitionKey,
-        selector,
-      });
-      return result.docs;
+        partitionKey: this.config.dbPartitionKey,
+        selector: await this.piiSelector(selector),
+      };
+      if (options.fields) {
+        // with encryption, pii may still be stored in plaintext in older documents
+        params.fields = this.config.piiEncryption
+          ? options.fields.flatMap((field) => (field === 'pii' ? ['pii', 'piiEncrypted'] : [field]))
+          : options.fields;
+      }
+      if (options.sort) {
+        params.sort = options.sort;
+      }
+      if (options.limit) {
+        params.limit = options.limit;
+      }
+      if (options.use_index) {
+        params.useIndex = Array.isArray(options.use_index) ? options.use_index : [options.use_index];
+      }
+      if (options.bookmark) {
+        params.bookmark = options.bookmark;
+      }
+
+      let result;
+      try {
+        ({ result } = await this.cloudant.postPartitionFind(params));
+      } catch (err) {
+        const errMsg = `Failed to query the database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
+      }
+      return {
+        docs: await Promise.all(result.docs.map(piiCrypto.revealPii)),
+        bookmark: result.bookmark,
+      };
+    }
+
+    // Follows bookmarks until the query is exhausted, yielding one document at a time.
+    // options.limit is used as the page size.
+    async* iterateByQuery(db, selector, options = {}) {
+      const limit = options.limit || defaultPageSize;
+      let { bookmark } = options;
+
+      while (true) {
+        // eslint-disable-next-line no-await-in-loop
+        const page = await this.findPageByQuery(db, selector, { ...options, limit, bookmark });
+        for (const doc of page.docs) {
+          yield doc;
+        }
+        if (page.docs.length < limit || !page.bookmark || page.bookmark === bookmark) {
+          return;
+        }
+        bookmark = page.bookmark;
+      }
     }
 
     async getDocument(db, docId) {
@@ -229,24 +705,112 @@ function initCloudant() {
         const { result } = await this.cloudant.getDocument({ db, docId });
         return result;
       } catch (err) {
-        log.error(`Failed to retrieve a document in the database ${db}: ${err.message}`);
-        throw err;
+        const errMsg = `Failed to retrieve a document in the database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
       }
     }
 
-    async createOrUpdateBulk (db, docs) {
+    // Returns one Cloudant result ({ id, rev, ok } or { id, error, reason }) per input document,
+    // in input order. options:
+    //   batchSize  - documents per _bulk_docs request
+    //   onConflict - 'fail' (default), 'skip', 'retry' (resubmit with the current _rev)
+    //                or 'merge' (resubmit merge(currentDoc, doc), currentDoc is undefined if deleted)
+    //   maxRetries - retry/merge attempts per batch
+    // Throws if any document failed (a ConflictError if all of them conflicted); the error
+    // carries the results in err.results.
+    async createOrUpdateBulk (db, docs, options = {}) {
+      const batchSize = options.batchSize || defaultBulkBatchSize;
+      const onConflict = options.onConflict || 'fail';
+      if (!bulkConflictPolicies.includes(onConflict)) {
+        throw new ValidationError(`Invalid conflict policy '${onConflict}'`);
+      }
+      if (onConflict === 'merge' && typeof options.merge !== 'function') {
+        throw new ValidationError("Conflict policy 'merge' requires a merge function");
+      }
+
+      const results = [];
       try {
         log.debug(`Creating or updating a bulk of documents in a database ${db}`);
-        const bulkDocs = CloudantV1.BulkDocs = { docs };
-        await this.cloudant.postBulkDocs({
-          db,
-          bulkDocs
-        });
-        log.info('Cloudant has been updated successfully');
+        for (let start = 0; start < docs.length; start += batchSize) {
+          const batch = docs.slice(start, start + batchSize);
+          // eslint-disable-next-line no-await-in-loop
+          results.push(...await this.writeBulkBatch(db, batch, onConflict, options));
+        }
       } catch (err) {
-        log.error(`Failed to create or update bulk in database ${db}: ${err.message}`);
-        throw err;
+        const errMsg = `Failed to create or update bulk in database ${db}: ${err.message}`;
+        log.error(errMsg);
+        throw toHelperError(err, errMsg);
+      }
+
+      const failed = results.filter((result) => result.error && !result.skipped);
+      if (failed.length) {
+        const errMsg = `Failed to create or update ${failed.length} of ${docs.length} documents in database ${db}`;
+        log.error(`${errMsg}: ${JSON.stringify(failed)}`);
+        const error = failed.every((result) => result.error === 'conflict')
+          ? new ConflictError(errMsg)
+          : new HelperError(errMsg);
+        error.results = results;
+        throw error;
+      }
+
+      const skipped = results.filter((result) => result.skipped).length;
+      log.info(`Cloudant has been updated successfully (${results.length - skipped} written, ${skipped} skipped)`);
+      return results;
+    }
+
+    async writeBulkBatch(db, batch, onConflict, options) {
+      const postBulk = async (docs) => {
+        const { result } = await this.cloudant.postBulkDocs({ db, bulkDocs: { docs } });
+        return result;
+      };
+      const isConflict = (result) => result.error === 'conflict';
+      const maxRetries = options.maxRetries === undefined ? defaultBulkMaxRetries : options.maxRetries;
+
+      const results = await postBulk(batch);
+      let pending = results.map((result, i) => i).filter((i) => isConflict(results[i]));
+
+      if (onConflict === 'retry' || onConflict === 'merge') {
+        for (let attempt = 1; pending.length && attempt <= maxRetries; attempt += 1) {
+          log.warn(`Resolving ${pending.length} conflict(s) in database ${db}, attempt #${attempt}`);
+          // eslint-disable-next-line no-await-in-loop
+          const resubmit = await Promise.all(pending.map(async (i) => {
+            const desired = batch[i];
+            const current = await this.getDocumentIfExists(db, desired._id);
+            const doc = onConflict === 'merge'
+              ? { ...await options.merge(current, desired), _id: desired._id }
+              : { ...desired };
+            if (current) {
+              doc._rev = current._rev;
+            } else {
+              delete doc._rev;
+            }
+            return doc;
+          }));
+
+          // eslint-disable-next-line no-await-in-loop
+          const retryResults = await postBulk(resubmit);
+          retryResults.forEach((result, j) => {
+            results[pending[j]] = result;
+          });
+          pending = pending.filter((i) => isConflict(results[i]));
+        }
       }
+
+      if (onConflict === 'skip') {
+        pending.forEach((i) => {
+          log.warn(`Skipping conflicted document ${results[i].id} in database ${db}`);
+          results[i] = { ...results[i], skipped: true };
+        });
+      }
+      return results;
+    }
+
+    // Starts a ChangesFollower on this connection; see changes-follower.js for options.
+    async followChanges(options) {
+      const follower = new ChangesFollower(this, options);
+      await follower.start();
+      return follower;
     }
 
     async deleteDB(db) {
@@ -255,8 +819,9 @@ function initCloudant() {
         log.info(`Deleting Cloudant database ${db}`);
         return await this.cloudant.deleteDatabase({ db });
       } catch (e) {
-        log.error(`Failed to delete Cloudant database ${db}: ${e.message}`);
-        throw e;
+        const errMsg = `Failed to delete Cloudant database ${db}: ${e.message}`;
+        log.error(errMsg);
+        throw toHelperError(e, errMsg);
       }
     }
   }
@@ -0,0 +1,112 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+// Base class of the errors thrown by the helpers. `status` is the HTTP status code a
+// service should answer with; `cause` is the underlying error, if any.
+class HelperError extends Error {
+    constructor(message, { status = 500, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+
+    // getCloudIAMToken used to report the status as statusCode
+    get statusCode() {
+        return this.status;
+    }
+}
+
+// Missing or invalid configuration
+class ConfigError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 500 });
+    }
+}
+
+// Invalid arguments passed to a helper
+class ValidationError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 400 });
+    }
+}
+
+// Rejected credentials (401) or missing permissions (403)
+class AuthError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: options.status === 403 ? 403 : 401 });
+    }
+}
+
+class NotFoundError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 404 });
+    }
+}
+
+class ConflictError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 409 });
+    }
+}
+
+// A service (IAM, KeyProtect, AppID, Cloudant) is unreachable, timed out, rate limited or failing
+class UpstreamUnavailableError extends HelperError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 503 });
+    }
+}
+
+// Reason for a failed request as given in the response body (KeyProtect resources, AppID
+// detail, message or error_description), else the error message.
+const failureReasons = (error) => {
+    const data = error.response && error.response.data;
+    if (data && data.resources) {
+        return JSON.stringify(data.resources);
+    }
+    if (data && (data.detail || data.message || data.error_description)) {
+        return data.detail || data.message || data.error_description;
+    }
+    return error.message || '';
+};
+
+// Wraps an axios or Cloudant SDK error in the matching HelperError; HelperErrors are returned as is.
+const toHelperError = (error, message) => {
+    if (error instanceof HelperError) {
+        return error;
+    }
+
+    const status = (error.response && error.response.status) || error.status;
+    const options = { cause: error };
+    if (!status || status === 429 || status >= 500) {
+        return new UpstreamUnavailableError(message, options);
+    }
+    switch (status) {
+        case 400: return new ValidationError(message, options);
+        case 401:
+        case 403: return new AuthError(message, { ...options, status });
+        case 404: return new NotFoundError(message, options);
+        case 409: return new ConflictError(message, options);
+        default: return new HelperError(message, { ...options, status });
+    }
+};
+
+module.exports = {
+    HelperError,
+    ConfigError,
+    ValidationError,
+    AuthError,
+    NotFoundError,
+    ConflictError,
+    UpstreamUnavailableError,
+    failureReasons,
+    toHelperError
+};
@@ -0,0 +1,256 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+    ConfigError,
+    ConflictError,
+    NotFoundError,
+    UpstreamUnavailableError,
+    ValidationError,
+} = require('./errors');
+
+const log = require('./logger').getLogger('file-secret-store');
+
+const fileFormat = 'hcls-secret-store';
+const fileVersion = 1;
+const algorithm = 'aes-256-gcm';
+const ivLength = 12;
+const saltLength = 16;
+const keyLength = 32;
+
+// KeyProtect key states
+const activeState = 1;
+const suspendedState = 2;
+
+const deriveKey = (passphrase, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, keyLength, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const toMetadata = (key) => ({
+    id: key.id,
+    name: key.name,
+    description: key.description,
+    state: key.state === undefined ? activeState : key.state,
+    extractable: true,
+    creationDate: key.creationDate,
+    lastUpdateDate: key.lastUpdateDate || key.creationDate,
+    expirationDate: key.expirationDate,
+    aliases: key.aliases || [],
+    tags: key.tags || []
+});
+
+// The payload of a disabled key cannot be read, as in KeyProtect.
+const readPayload = (key) => {
+    if (toMetadata(key).state !== activeState) {
+        throw new ConflictError(`Key ${key.id} in file secret store is disabled`);
+    }
+    return key.payload;
+};
+
+// Secret store kept in a single local file, encrypted as a whole with AES-GCM under a
+// key derived (scrypt) from a master passphrase. Implements the same interface as the
+// KeyProtect store in keyprotect-helper: create, getNewestByName, getByID, getMetadata,
+// enable, disable, delete, list.
+// Writes are serialized within the process and replace the file atomically.
+class FileSecretStore {
+    constructor(config) {
+        if (!config || !config.filePath) {
+            throw new ConfigError("Invalid secret store config: missing variable 'filePath'");
+        }
+        if (!config.passphrase) {
+            throw new ConfigError("Invalid secret store config: missing variable 'passphrase'");
+        }
+        this.filePath = config.filePath;
+        this.passphrase = config.passphrase;
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        let content;
+        try {
+            content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.salt = this.salt || crypto.randomBytes(saltLength);
+                return { keys: [] };
+            }
+            throw new UpstreamUnavailableError(`Failed to read secret store ${this.filePath}: ${error.message}`, { cause: error });
+        }
+
+        if (content.format !== fileFormat || content.version !== fileVersion) {
+            throw new ConfigError(`Unsupported secret store file ${this.filePath}`);
+        }
+        this.salt = Buffer.from(content.salt, 'base64');
+        const key = await this.getKey();
+        try {
+            const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(content.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(content.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(content.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            throw new ConfigError(`Failed to decrypt secret store ${this.filePath}: wrong passphrase or corrupted file`, { cause: error });
+        }
+    }
+
+    // scrypt is deliberately slow, so the derived key is kept for the current salt
+    async getKey() {
+        if (!this.key || !this.keySalt.equals(this.salt)) {
+            this.key = await deriveKey(this.passphrase, this.salt);
+            this.keySalt = this.salt;
+        }
+        return this.key;
+    }
+
+    async save(store) {
+        const key = await this.getKey();
+        const iv = crypto.randomBytes(ivLength);
+        const cipher = crypto.createCipheriv(algorithm, key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(store), 'utf8'), cipher.final()]);
+        const content = {
+            format: fileFormat,
+            version: fileVersion,
+            salt: this.salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(content), { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    // Runs fn(store) after any pending write; fn returns [result, changed].
+    transaction(fn) {
+        const run = this.queue.then(async () => {
+            const store = await this.load();
+            const [result, changed] = await fn(store);
+            if (changed) {
+                await this.save(store);
+            }
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // attributes: description, tags, expirationDate, aliases
+    async create(keyName, keyPayload, attributes = {}) {
+        if (!keyName)
+            throw new ValidationError('keyName is empty');
+        if (!keyPayload)
+            throw new ValidationError('keyPayload is empty');
+
+        const id = uuidv4();
+        await this.transaction(async (store) => {
+            // aliases identify a single key in the store, as in KeyProtect
+            const aliases = attributes.aliases || [];
+            const taken = aliases.find((alias) => store.keys.some((key) => (key.aliases || []).includes(alias)));
+            if (taken) {
+                throw new ConflictError(`Alias ${taken} is already used in file secret store`);
+            }
+
+            // creation dates order versions, so they are kept strictly increasing
+            const latest = Math.max(0, ...store.keys.map((key) => Date.parse(key.creationDate)));
+            store.keys.push({
+                id,
+                name: keyName,
+                description: attributes.description,
+                state: activeState,
+                creationDate: new Date(Math.max(Date.now(), latest + 1)).toISOString(),
+                expirationDate: attributes.expirationDate,
+                aliases,
+                tags: attributes.tags || [],
+                payload: keyPayload
+            });
+            return [id, true];
+        });
+        log.info(`Successfully created key ${id} in file secret store`);
+        return id;
+    }
+
+    // Returns { id, payload } of the newest key named keyName, or '' if there is none.
+    async getNewestByName(keyName) {
+        const keys = await this.transaction(async (store) => [store.keys, false]);
+        const newest = keys
+            .filter((key) => key.name === keyName)
+            .sort((a, b) => b.creationDate.localeCompare(a.creationDate))[0];
+        if (!newest) {
+            log.warn(`Key ${keyName} not found in file secret store`);
+            return '';
+        }
+        return { id: newest.id, payload: readPayload(newest) };
+    }
+
+    async getByID(keyID) {
+        const keys = await this.transaction(async (store) => [store.keys, false]);
+        const key = keys.find((entry) => entry.id === keyID);
+        if (!key) {
+            log.warn(`Key ${keyID} not found in file secret store`);
+            return '';
+        }
+        return readPayload(key);
+    }
+
+    async getMetadata(keyID) {
+        const keys = await this.transaction(async (store) => [store.keys, false]);
+        const key = keys.find((entry) => entry.id === keyID);
+        if (!key) {
+            log.warn(`Key ${keyID} not found in file secret store`);
+            return '';
+        }
+        return toMetadata(key);
+    }
+
+    async setState(keyID, state) {
+        await this.transaction(async (store) => {
+            const key = store.keys.find((entry) => entry.id === keyID);
+            if (!key) {
+                throw new NotFoundError(`Key ${keyID} not found in file secret store`);
+            }
+            key.state = state;
+            key.lastUpdateDate = new Date().toISOString();
+            return [undefined, true];
+        });
+    }
+
+    enable(keyID) {
+        return this.setState(keyID, activeState);
+    }
+
+    disable(keyID) {
+        return this.setState(keyID, suspendedState);
+    }
+
+    async delete(keyID) {
+        await this.transaction(async (store) => {
+            const index = store.keys.findIndex((key) => key.id === keyID);
+            if (index === -1) {
+                throw new NotFoundError(`Failed to delete key ${keyID} in file secret store: key not found`);
+            }
+            store.keys.splice(index, 1);
+            return [undefined, true];
+        });
+        log.info(`Successfully deleted key ${keyID} in file secret store`);
+    }
+
+    // Key metadata without payloads, see toMetadata.
+    async list() {
+        const keys = await this.transaction(async (store) => [store.keys, false]);
+        return keys.map(toMetadata);
+    }
+}
+
+module.exports = FileSecretStore;
@@ -7,18 +7,45 @@
  *
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const rax = require('retry-axios');
 const moment = require('moment');
 
 const cloudIamHelper = require('./cloud-iam-helper');
+const FileSecretStore = require('./file-secret-store');
+const leaseHelper = require('./lease-helper');
+const httpConfig = require('./http-config');
+const {
+    ConfigError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+    failureReasons,
+    toHelperError,
+} = require('./errors');
 
 const log = require('./logger').getLogger('keyprotect-helper');
 
 let keyProtectObj = {};
 
+// Backend holding the keys; set by setConfig (see getSecretStore)
+let fileSecretStore;
+
+// Opt-in cache of key payloads, enabled with the cacheTTL config value (ms). Within
+// cacheStaleTTL (ms) after expiry a cached payload is still returned while it is
+// refreshed in the background, and kept if the refresh fails.
+// `name:<keyName>` -> newest { id, payload }, `id:<keyID>` -> payload
+const keyCache = new Map();
+
+// With backend: 'file' (plus filePath and passphrase), keys are kept in an encrypted
+// local file instead of KeyProtect.
+// With strict: true, the getters throw (NotFoundError, UpstreamUnavailableError, ...)
+// instead of returning '' or [], so callers can tell a missing key from a failing backend.
 const setConfig = (keyProtectDataObj) => {
     keyProtectObj = Object.assign(keyProtectDataObj);
+    fileSecretStore = keyProtectObj.backend === 'file' ? new FileSecretStore(keyProtectObj) : undefined;
+    keyCache.clear();
 };
 
 const validateConfig = () => {
@@ -38,12 +65,93 @@ const validateConfig = () => {
     }
 
     if (missingVar) {
-        throw new Error(`Invalid KeyProtect config: missing variable '${missingVar}'`);
+        throw new ConfigError(`Invalid KeyProtect config: missing variable '${missingVar}'`);
+    }
+};
+
+// Getters resolve to emptyValue on failure unless the strict config value is set.
+// Failures are logged where they happen.
+const getterResult = async (lookup, emptyValue) => {
+    try {
+        return await lookup;
+    } catch (error) {
+        if (keyProtectObj.strict) {
+            throw error;
+        }
+        return emptyValue;
+    }
+};
+
+// Secret stores return '' for a missing key; the getters turn that into a NotFoundError.
+const requireKey = async (lookup, errMsg) => {
+    const value = await lookup;
+    if (!value) {
+        throw new NotFoundError(errMsg);
+    }
+    return value;
+};
+
+const storeCacheEntry = (cacheKey, value) => {
+    const now = Date.now();
+    keyCache.set(cacheKey, {
+        value,
+        expiresAt: now + keyProtectObj.cacheTTL,
+        staleUntil: now + keyProtectObj.cacheTTL + (keyProtectObj.cacheStaleTTL || 0)
+    });
+};
+
+const refreshCacheEntry = async (cacheKey, fetch, entry) => {
+    entry.refreshing = true;
+    try {
+        storeCacheEntry(cacheKey, await fetch());
+    } finally {
+        entry.refreshing = false;
+    }
+};
+
+const cachedKeyLookup = async (cacheKey, fetch) => {
+    if (!keyProtectObj.cacheTTL) {
+        return fetch();
+    }
+
+    const now = Date.now();
+    const entry = keyCache.get(cacheKey);
+    if (entry && now < entry.expiresAt) {
+        return entry.value;
+    }
+    if (entry && now < entry.staleUntil) {
+        if (!entry.refreshing) {
+            refreshCacheEntry(cacheKey, fetch, entry).catch((error) => {
+                log.warn(`Failed to refresh cached ${cacheKey} from KeyProtect, serving the stale payload: ${error.message}`);
+            });
+        }
+        return entry.value;
+    }
+
+    keyCache.delete(cacheKey);
+    const value = await fetch();
+    storeCacheEntry(cacheKey, value);
+    return value;
+};
+
+// Drops cached payloads for a key name or key ID, or the whole cache without an argument.
+const invalidateKeyCache = (keyNameOrID) => {
+    if (keyNameOrID === undefined) {
+        keyCache.clear();
+        return;
     }
+    keyCache.delete(`name:${keyNameOrID}`);
+    keyCache.delete(`id:${keyNameOrID}`);
+    keyCache.forEach((entry, cacheKey) => {
+        if (entry.value && entry.value.id === keyNameOrID) {
+            keyCache.delete(cacheKey);
+        }
+    });
 };
 
 const keyProtectClient = (token) => {
     const client = axios.create({
+        ...httpConfig.axiosOptions(keyProtectObj.url),
         baseURL: keyProtectObj.url,
         timeout: keyProtectObj.timeout,
         headers: {
@@ -71,65 +179,86 @@ const keyProtectClient = (token) => {
     return client;
 };
 
-const getAllKeysHelper = async (client) => {
+const defaultPageSize = 200;
+const defaultKeepVersions = 2;
+const maxPageSize = 5000;
+const defaultDescription = 'Simple Consent Blockchain Admin Identity';
+const defaultTaggingUrl = 'https://tags.global-search-tagging.cloud.ibm.com';
+const maxAliases = 5;
+
+// Query parameters for listing keys. options:
+//   state       - key states to include (number or array, e.g. [1] for active keys only)
+//   extractable - true for standard keys only, false for root keys only
+const listKeysParams = (options) => {
+    const params = {};
+    if (options.state !== undefined) {
+        params.state = [].concat(options.state).join(',');
+    }
+    if (options.extractable !== undefined) {
+        params.extractable = options.extractable;
+    }
+    return params;
+};
+
+const getAllKeysHelper = async (client, options = {}) => {
     try {
         validateConfig();
 
-        const response = await client.get();
+        const limit = Math.min(options.pageSize || defaultPageSize, maxPageSize);
+        const params = listKeysParams(options);
+        const keysArray = [];
+
+        // KeyProtect returns keys in pages of at most `limit`; keep requesting until a short page.
+        for (let offset = 0; ; offset += limit) {
+            // eslint-disable-next-line no-await-in-loop
+            const response = await client.get('', { params: { ...params, limit, offset } });
+            const page = response.data.resources || [];
+            keysArray.push(...page);
+            if (page.length < limit) {
+                break;
+            }
+        }
 
-        const keysArray = response.data.resources;
         log.info(`Successfully retrieved ${keysArray.length} from KeyProtect`);
         return keysArray;
     } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
-
-        const errMsg = `Failed to retrieve keys from KeyProtect: ${failureReasons}`;
+        const errMsg = `Failed to retrieve keys from KeyProtect: ${failureReasons(error)}`;
         log.warn(errMsg);
-        return [];
+        throw toHelperError(error, errMsg);
     }
 
 };
 
-const getAllKeys = async (client) => {
+const fetchAllKeys = async (client, options) => {
     if (!client) {
         const token = await cloudIamHelper.getCloudIAMToken(keyProtectObj.apikey);
         const client = keyProtectClient(token);
-        return getAllKeysHelper(client)
+        return getAllKeysHelper(client, options)
     } else {
-        return getAllKeysHelper(client)
+        return getAllKeysHelper(client, options)
     }
 };
 
-const getKeysByName = async (client, keyName) => {
-    try {
-        validateConfig();
+// Lists the keys of the configured backend; a given KeyProtect client is used as is.
+const getAllKeys = (client, options) => getterResult(
+    client ? fetchAllKeys(client, options) : getSecretStore().list(options),
+    []
+);
 
-        const response = await getAllKeys(client);
+const getKeysByName = async (client, keyName, options) => {
+    validateConfig();
 
-        const filteredKeys = response
-            .filter((key) => {
-                return key.name === keyName;
-            });
-        log.info(`Successfully retrieved ${filteredKeys.length} key id(s) for name = ${keyName} from KeyProtect`);
-        return filteredKeys;
-    } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
+    const response = await fetchAllKeys(client, options);
 
-        const errMsg = `Failed to retrieve key ids for ${keyName} from KeyProtect: ${failureReasons}`;
-        log.warn(errMsg);
-        return [];
-    }
+    const filteredKeys = response
+        .filter((key) => {
+            return key.name === keyName;
+        });
+    log.info(`Successfully retrieved ${filteredKeys.length} key id(s) for name = ${keyName} from KeyProtect`);
+    return filteredKeys;
 };
 
-const deleteKey = async (keyID) => {
+const deleteKeyProtectKey = async (keyID) => {
     try {
         validateConfig();
 
@@ -140,43 +269,28 @@ const deleteKey = async (keyID) => {
 
         log.info(`Successfully deleted key ${keyID} in KeyProtect`);
     } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
-
-        const errMsg = `Failed to delete key ${keyID} in KeyProtect: ${failureReasons}`;
+        const errMsg = `Failed to delete key ${keyID} in KeyProtect: ${failureReasons(error)}`;
         log.error(errMsg);
-        throw new Error(errMsg);
+        throw toHelperError(error, errMsg);
     }
 };
 
-const getNewestKeyIDByName = async (client, searchName) => {
-    const keyList = await getKeysByName(client, searchName);
-
-    let newestKeyID = '';
-    let newestCreationDate = moment(0);
-
-    for (let i = 0; i < keyList.length; i += 1) {
-        if (keyList[i].name === searchName) {
-            const currentCreationDate = moment(keyList[i].creationDate);
-            // check creation date against newest key with same name
-            if (newestCreationDate.isBefore(currentCreationDate)) {
-                newestCreationDate = currentCreationDate;
-
-                // delete older key with same name
-                if (newestKeyID) {
-                    log.warn(`Attempting to delete older key ${newestKeyID} with name ${searchName} in KeyProtect`);
-                    // eslint-disable-next-line no-await-in-loop
-                    await deleteKey(newestKeyID);
-                }
+// Keys sharing a name are versions of one key, newest first. Version 0 is the
+// current key, version 1 the one before it, and so on.
+const toKeyVersionList = (keyList, keyName) => keyList
+    .filter((key) => key.name === keyName)
+    .sort((a, b) => moment(b.creationDate).diff(moment(a.creationDate)) || (a.id < b.id ? -1 : 1))
+    .map((key, version) => ({
+        id: key.id,
+        version,
+        creationDate: key.creationDate
+    }));
 
-                newestKeyID = keyList[i].id;
-            }
-        }
-    }
-    return newestKeyID;
+const getNewestKeyIDByName = async (client, searchName) => {
+    // keys created by createKey are standard (extractable) keys; root keys sharing the name are left alone
+    const keyList = await getKeysByName(client, searchName, { extractable: true });
+    const versions = toKeyVersionList(keyList, searchName);
+    return versions.length ? versions[0].id : '';
 };
 
 const parseKeyPayload = (response) => {
@@ -219,7 +333,7 @@ const parseKeyID = (response) => {
     return '';
 };
 
-const getKeyByID = async (keyID) => {
+const fetchKeyByID = async (keyID) => {
     try {
         validateConfig();
 
@@ -231,19 +345,17 @@ const getKeyByID = async (keyID) => {
         log.info(`Successfully retrieved key ${keyID} from KeyProtect`);
         return parseKeyPayload(getKeyResponse);
     } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
-
-        const errMsg = `Failed to retrieve key ${keyID} from KeyProtect: ${failureReasons}`;
+        if (error.response && error.response.status === 404) {
+            log.warn(`Key ${keyID} not found in KeyProtect`);
+            return '';
+        }
+        const errMsg = `Failed to retrieve key ${keyID} from KeyProtect: ${failureReasons(error)}`;
         log.warn(errMsg);
-        return '';
+        throw toHelperError(error, errMsg);
     }
 };
 
-const getNewestKeyByName = async (keyName) => {
+const fetchNewestKeyWithIDByName = async (keyName) => {
     try {
         validateConfig();
 
@@ -260,40 +372,86 @@ const getNewestKeyByName = async (keyName) => {
         const getKeyResponse = await client.get(keyID);
 
         log.info(`Successfully retrieved newest key for name = ${keyName} from KeyProtect (id = ${keyID})`);
-        return parseKeyPayload(getKeyResponse);
+        const payload = parseKeyPayload(getKeyResponse);
+        return payload ? { id: keyID, payload } : '';
     } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
-
-        const errMsg = `Failed to retrieve key ${keyName} from KeyProtect: ${failureReasons}`;
+        const errMsg = `Failed to retrieve key ${keyName} from KeyProtect: ${failureReasons(error)}`;
         log.warn(errMsg);
-        return '';
+        throw toHelperError(error, errMsg);
+    }
+};
+
+const fetchKeyPayload = (keyID) => cachedKeyLookup(
+    `id:${keyID}`,
+    () => requireKey(getSecretStore().getByID(keyID), `Key ${keyID} not found`)
+);
+
+const getKeyByID = (keyID) => getterResult(fetchKeyPayload(keyID), '');
+
+const getNewestKeyWithIDByName = (keyName) => getterResult(cachedKeyLookup(
+    `name:${keyName}`,
+    () => requireKey(getSecretStore().getNewestByName(keyName), `Key ${keyName} not found`)
+), '');
+
+const getNewestKeyByName = async (keyName) => {
+    const key = await getNewestKeyWithIDByName(keyName);
+    return key ? key.payload : '';
+};
+
+// KeyProtect keys have no tags of their own; tags are attached to the key CRN through
+// the Global Tagging API (config value taggingUrl).
+const taggingClient = (token) => axios.create({
+    ...httpConfig.axiosOptions(keyProtectObj.taggingUrl || defaultTaggingUrl),
+    baseURL: `${keyProtectObj.taggingUrl || defaultTaggingUrl}/v3/tags`,
+    timeout: keyProtectObj.timeout,
+    headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`
     }
+});
+
+const attachTags = async (token, crn, tags) => {
+    const client = taggingClient(token);
+    await client.post('/attach', {
+        resources: [{ resource_id: crn }],
+        tag_names: tags
+    }, { params: { tag_type: 'user' } });
 };
 
-const createKey = async (keyName, keyPayload) => {
+const fetchTags = async (token, crn) => {
+    const client = taggingClient(token);
+    const response = await client.get('', { params: { attached_to: crn, tag_type: 'user' } });
+    return (response.data.items || []).map((item) => item.name);
+};
+
+// Key metadata as returned by getKeyMetadata and the secret stores' getMetadata.
+const toKeyMetadata = (resource) => ({
+    id: resource.id,
+    name: resource.name,
+    description: resource.description,
+    state: resource.state,
+    extractable: resource.extractable,
+    creationDate: resource.creationDate,
+    lastUpdateDate: resource.lastUpdateDate,
+    expirationDate: resource.expirationDate,
+    aliases: resource.aliases || [],
+    crn: resource.crn
+});
+
+const createKeyProtectKey = async (keyName, keyPayload, attributes = {}) => {
     try {
         validateConfig();
 
         if (!keyName)
-            throw new Error('keyName is empty');
+            throw new ValidationError('keyName is empty');
         if (!keyPayload)
-            throw new Error('keyPayload is empty');
-
-        log.debug('Attempting to check for existing key (before creating new key)');
+            throw new ValidationError('keyPayload is empty');
 
+        // Existing keys with the same name are kept as previous versions; see pruneKeyVersions.
         const token = await cloudIamHelper.getCloudIAMToken(keyProtectObj.apikey);
         const client = keyProtectClient(token);
 
-        const existingKeyID = await getNewestKeyIDByName(client, keyName);
-        if (existingKeyID) {
-            log.debug('Existing key found, attempting to delete (before creating new key)');
-            await deleteKey(existingKeyID);
-        }
-
         const strPayload = JSON.stringify(keyPayload);
         const encodedPayload = Buffer.from(strPayload).toString('base64');
 
@@ -306,36 +464,513 @@ const createKey = async (keyName, keyPayload) => {
                 {
                     type: 'application/vnd.ibm.kms.key+json',
                     name: keyName,
-                    description: 'Simple Consent Blockchain Admin Identity',
+                    description: attributes.description || defaultDescription,
                     extractable: true,
                     payload: encodedPayload
                 }
             ]
         };
+        if (attributes.expirationDate)
+            requestBody.resources[0].expirationDate = attributes.expirationDate;
+        if (attributes.aliases && attributes.aliases.length)
+            requestBody.resources[0].aliases = attributes.aliases;
 
         const createResponse = await client.post('', JSON.stringify(requestBody));
 
         const keyID = parseKeyID(createResponse);
         log.info(`Successfully created key ${keyID} in KeyProtect`);
+
+        if (attributes.tags && attributes.tags.length) {
+            try {
+                await attachTags(token, createResponse.data.resources[0].crn, attributes.tags);
+            } catch (error) {
+                // the untagged key would be the current version, and a retry would add another one
+                log.error(`Attaching tags to key ${keyID} failed, deleting the key`);
+                await deleteKeyProtectKey(keyID).catch((deleteError) => {
+                    log.error(`Failed to delete untagged key ${keyID}, delete it manually: ${deleteError.message}`);
+                });
+                throw error;
+            }
+        }
         return keyID;
     } catch (error) {
-        let failureReasons = '';
-        if (error.response && error.response.data && error.response.data.resources)
-            failureReasons = JSON.stringify(error.response.data.resources);
-        else if (error.message)
-            failureReasons = error.message;
+        const errMsg = `Failed to create key in KeyProtect: ${failureReasons(error)}`;
+        log.error(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+};
+
+const fetchKeyMetadata = async (keyID) => {
+    try {
+        validateConfig();
+
+        const token = await cloudIamHelper.getCloudIAMToken(keyProtectObj.apikey);
+        const client = keyProtectClient(token);
+
+        const response = await client.get(`${keyID}/metadata`);
+        const resource = response.data.resources[0];
+        const metadata = toKeyMetadata(resource);
+        metadata.tags = [];
+        if (resource.crn) {
+            try {
+                metadata.tags = await fetchTags(token, resource.crn);
+            } catch (error) {
+                log.warn(`Failed to retrieve tags of key ${keyID}, returning its metadata without tags: ${failureReasons(error)}`);
+                metadata.tags = undefined;
+            }
+        }
+
+        log.info(`Successfully retrieved metadata of key ${keyID} from KeyProtect`);
+        return metadata;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            log.warn(`Key ${keyID} not found in KeyProtect`);
+            return '';
+        }
+        const errMsg = `Failed to retrieve metadata of key ${keyID} from KeyProtect: ${failureReasons(error)}`;
+        log.warn(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+};
+
+// Secret store interface implemented by KeyProtect and FileSecretStore:
+//   create(keyName, keyPayload, attributes) -> keyID; attributes as returned by keyAttributes
+//   getNewestByName(keyName)    -> { id, payload } or '' if there is no such key
+//   getByID(keyID)              -> payload or '' if there is no such key
+//   getMetadata(keyID)          -> metadata (see toKeyMetadata) with tags, or '' if there is no such key;
+//                                  tags is undefined if they could not be retrieved
+//   enable(keyID) / disable(keyID)
+//   delete(keyID)
+//   list(options)               -> key metadata [{ id, name, creationDate, ... }]
+// Failures are thrown as HelperErrors (see errors.js).
+const keyProtectStore = {
+    create: createKeyProtectKey,
+    getNewestByName: fetchNewestKeyWithIDByName,
+    getByID: fetchKeyByID,
+    getMetadata: fetchKeyMetadata,
+    enable: (keyID) => rootKeyAction('enable', keyID),
+    disable: (keyID) => rootKeyAction('disable', keyID),
+    delete: deleteKeyProtectKey,
+    list: (options) => fetchAllKeys(undefined, options)
+};
+
+const getSecretStore = () => fileSecretStore || keyProtectStore;
+
+// Cross-replica lock for changes to a key name; see setKeyLock.
+let keyLock;
+
+// Serializes createKey, getOrCreateKey, rotateKey, rollbackKey and pruneKeyVersions for the
+// same key name across all replicas, through a lease document (see lease-helper) in db on
+// the cloudantHelper connection. options: ttl, timeout, retryInterval. Without arguments
+// the lock is turned off again.
+// The lease is renewed while the operation runs, so ttl need not cover the KeyProtect retry
+// budget (timeout * (retries + 1) + retryDelay * retries per request, several requests per
+// operation); it bounds how long a crashed replica blocks the key. Each write checks the
+// lease first and fails with a ConflictError once it has been lost.
+const setKeyLock = (cloudantHelper, db, options) => {
+    keyLock = cloudantHelper ? { cloudantHelper, db, options } : undefined;
+};
+
+// Runs fn(lease); lease is undefined when no lock is set.
+const withKeyLock = (keyName, fn) => (keyLock
+    ? leaseHelper.withLease(keyLock.cloudantHelper, keyLock.db, `key-${keyName}`, fn, keyLock.options)
+    : fn());
+
+const checkKeyLock = (lease) => {
+    if (lease) {
+        lease.check();
+    }
+};
+
+// Validates and normalizes the key attributes accepted by createKey.
+const keyAttributes = (options = {}) => {
+    const attributes = {};
+    if (options.description !== undefined) {
+        if (typeof options.description !== 'string')
+            throw new ValidationError('description must be a string');
+        attributes.description = options.description;
+    }
+    if (options.expirationDate !== undefined) {
+        const expiration = moment(options.expirationDate, moment.ISO_8601);
+        if (!expiration.isValid())
+            throw new ValidationError(`Invalid expirationDate: ${options.expirationDate}`);
+        attributes.expirationDate = expiration.toISOString();
+    }
+    ['tags', 'aliases'].forEach((field) => {
+        if (options[field] === undefined)
+            return;
+        const values = options[field];
+        if (!Array.isArray(values) || values.some((value) => !value || typeof value !== 'string'))
+            throw new ValidationError(`${field} must be an array of non-empty strings`);
+        attributes[field] = values;
+    });
+    if (attributes.aliases && attributes.aliases.length > maxAliases)
+        throw new ValidationError(`A key can have at most ${maxAliases} aliases`);
+    return attributes;
+};
+
+const createKeyVersion = async (keyName, keyPayload, attributes, lease) => {
+    checkKeyLock(lease);
+    const keyID = await getSecretStore().create(keyName, keyPayload, attributes);
+    invalidateKeyCache(keyName);
+    return keyID;
+};
+
+// options: description, tags, expirationDate (Date or ISO 8601 string), aliases
+const createKey = async (keyName, keyPayload, options) => {
+    const attributes = keyAttributes(options);
+    return withKeyLock(keyName, (lease) => createKeyVersion(keyName, keyPayload, attributes, lease));
+};
+
+// Returns the newest version of keyName as { id, payload, created: false }, or creates the
+// key and returns { id, payload, created: true }. keyPayload may be an (async) function,
+// called only when the key is created; options as for createKey. With setKeyLock,
+// replicas starting at the same time converge on a single key instead of each creating one.
+const getOrCreateKey = async (keyName, keyPayload, options) => {
+    const attributes = keyAttributes(options);
+    return withKeyLock(keyName, async (lease) => {
+        // read the store directly: a failing backend must not be taken for a missing key
+        const existing = await getSecretStore().getNewestByName(keyName);
+        if (existing) {
+            return { ...existing, created: false };
+        }
+
+        const payload = typeof keyPayload === 'function' ? await keyPayload() : keyPayload;
+        const id = await createKeyVersion(keyName, payload, attributes, lease);
+        log.info(`Created key ${keyName} (id = ${id})`);
+        return { id, payload, created: true };
+    });
+};
+
+const deleteKey = async (keyID) => {
+    await getSecretStore().delete(keyID);
+    invalidateKeyCache(keyID);
+};
+
+// Key metadata from the configured backend; options as for getAllKeys.
+const listKeys = (options) => getterResult(getSecretStore().list(options), []);
+
+// Metadata of a key (see toKeyMetadata) including its tags, without fetching the payload;
+// tags is undefined if the Global Tagging API could not be reached.
+const getKeyMetadata = (keyID) => getterResult(
+    requireKey(getSecretStore().getMetadata(keyID), `Key ${keyID} not found`),
+    ''
+);
+
+// A disabled key keeps its metadata, but its payload cannot be read until it is enabled again.
+const enableKey = async (keyID) => {
+    await getSecretStore().enable(keyID);
+    invalidateKeyCache(keyID);
+    log.info(`Enabled key ${keyID}`);
+};
+
+const disableKey = async (keyID) => {
+    await getSecretStore().disable(keyID);
+    invalidateKeyCache(keyID);
+    log.info(`Disabled key ${keyID}`);
+};
+
+// Keys expiring within `within` ms from now, including already expired ones, soonest first:
+// [{ id, name, description, state, expirationDate, expired, ... }].
+// Failures are thrown, so an unreachable backend is not taken for nothing expiring.
+const listExpiringKeys = async (within = 0) => {
+    const cutoff = moment().add(within, 'milliseconds');
+    const keys = await getSecretStore().list();
+    return keys
+        .filter((key) => key.expirationDate && moment(key.expirationDate).isSameOrBefore(cutoff))
+        .map((key) => ({ ...key, expired: moment(key.expirationDate).isSameOrBefore(moment()) }))
+        .sort((a, b) => moment(a.expirationDate).diff(moment(b.expirationDate)));
+};
+
+// Creates a new version of keyName and returns { keyID, previousKeyID }; options as for createKey.
+// The previous versions stay readable until pruneKeyVersions is called.
+const rotateKey = async (keyName, keyPayload, options) => {
+    const attributes = keyAttributes(options);
+    return withKeyLock(keyName, async (lease) => {
+        const versions = await fetchKeyVersions(keyName);
+        const keyID = await createKeyVersion(keyName, keyPayload, attributes, lease);
+        const previousKeyID = versions.length ? versions[0].id : '';
+        log.info(`Rotated key ${keyName} in KeyProtect (id = ${keyID}, previous id = ${previousKeyID})`);
+        return { keyID, previousKeyID };
+    });
+};
+
+// Key versions and payloads are read from the store directly by rotateKey, rollbackKey and
+// pruneKeyVersions: a failing backend must not be taken for a key without versions.
+const fetchKeyVersions = async (keyName) => {
+    const keyList = await getSecretStore().list({ extractable: true });
+    return toKeyVersionList(keyList, keyName);
+};
+
+const fetchKeyVersion = async (keyName, version) => {
+    const versions = await fetchKeyVersions(keyName);
+    if (!versions[version]) {
+        const errMsg = `Version ${version} of key ${keyName} not found in KeyProtect`;
+        log.warn(errMsg);
+        throw new NotFoundError(errMsg);
+    }
+    return fetchKeyPayload(versions[version].id);
+};
+
+// Lists the versions of keyName, newest first: [{ id, version, creationDate }].
+const getKeyVersions = (keyName) => getterResult(fetchKeyVersions(keyName), []);
 
-        const errMsg = `Failed to create key in KeyProtect: ${failureReasons}`;
+// Returns the payload of a version of keyName (0 = current), or '' if there is no such version.
+const getKeyVersion = (keyName, version) => getterResult(fetchKeyVersion(keyName, version), '');
+
+// Makes a previous version current again by storing its payload as a new version.
+const rollbackKey = (keyName, version = 1) => withKeyLock(keyName, async (lease) => {
+    let keyPayload;
+    try {
+        keyPayload = await fetchKeyVersion(keyName, version);
+    } catch (error) {
+        const errMsg = `Failed to roll back key ${keyName} to version ${version}: ${error.message}`;
         log.error(errMsg);
-        throw new Error(errMsg);
+        throw toHelperError(error, errMsg);
+    }
+    const keyID = await createKeyVersion(keyName, keyPayload, {}, lease);
+    log.info(`Rolled back key ${keyName} to version ${version} in KeyProtect (id = ${keyID})`);
+    return keyID;
+});
+
+// Key names whose previous versions must not be deleted; see retainKeyVersions.
+const retainedKeyNames = new Set();
+
+// Makes pruneKeyVersions refuse keyName in this process. pii-crypto-helper retains its keys,
+// since documents keep referring to the version they were encrypted or indexed with.
+const retainKeyVersions = (keyName) => {
+    retainedKeyNames.add(keyName);
+};
+
+// Deletes all but the current version and `keep` previous versions of keyName
+// (default: config keepVersions, else 2). Returns the IDs of the deleted keys.
+// Never prune PII keys (the keyName and indexKeyName of piiEncryption): documents written
+// with a deleted version can no longer be decrypted or found once the process that cached
+// it restarts. The guard of retainKeyVersions only covers key names used in this process.
+const pruneKeyVersions = async (keyName, keep) => {
+    if (retainedKeyNames.has(keyName)) {
+        throw new ConflictError(`Versions of key ${keyName} are retained and cannot be pruned`);
+    }
+    const keepVersions = keep !== undefined ? keep : keyProtectObj.keepVersions;
+    const keepCount = keepVersions !== undefined ? keepVersions : defaultKeepVersions;
+    if (!(keepCount >= 0)) {
+        throw new ValidationError(`Invalid number of key versions to keep: ${keepCount}`);
     }
+
+    return withKeyLock(keyName, async (lease) => {
+        const versions = await fetchKeyVersions(keyName);
+        const obsolete = versions.slice(1 + keepCount);
+        const deletedKeyIDs = [];
+        for (const { id } of obsolete) {
+            checkKeyLock(lease);
+            log.warn(`Attempting to delete older key ${id} with name ${keyName} in KeyProtect`);
+            // eslint-disable-next-line no-await-in-loop
+            await deleteKey(id);
+            deletedKeyIDs.push(id);
+        }
+        log.info(`Pruned ${deletedKeyIDs.length} old version(s) of key ${keyName} in KeyProtect`);
+        return deletedKeyIDs;
+    });
+};
+
+const rootKeyActionHeaders = {
+    'Content-Type': 'application/vnd.ibm.kms.key_action+json'
+};
+
+const keyActionError = (action, keyID, error) => {
+    const errMsg = `Failed to ${action} with key ${keyID} in KeyProtect: ${failureReasons(error)}`;
+    log.error(errMsg);
+    return toHelperError(error, errMsg);
+};
+
+// Runs a key action (wrap, unwrap, rewrap, rotate for root keys; enable, disable) and
+// returns the response body.
+const rootKeyAction = async (action, rootKeyID, body = {}) => {
+    try {
+        validateConfig();
+
+        const token = await cloudIamHelper.getCloudIAMToken(keyProtectObj.apikey);
+        const client = keyProtectClient(token);
+
+        const response = await client.post(rootKeyID, JSON.stringify(body), {
+            params: { action },
+            headers: rootKeyActionHeaders
+        });
+        log.debug(`Successfully performed ${action} with key ${rootKeyID} in KeyProtect`);
+        return response.data || {};
+    } catch (error) {
+        throw keyActionError(action, rootKeyID, error);
+    }
+};
+
+// Creates a root key (non-extractable, generated by KeyProtect) for envelope encryption.
+const createRootKey = async (keyName, description = 'Simple Consent root key') => {
+    try {
+        validateConfig();
+
+        if (!keyName)
+            throw new ValidationError('keyName is empty');
+
+        const token = await cloudIamHelper.getCloudIAMToken(keyProtectObj.apikey);
+        const client = keyProtectClient(token);
+
+        const requestBody = {
+            metadata: {
+                collectionType: 'application/vnd.ibm.kms.key+json',
+                collectionTotal: 1
+            },
+            resources: [
+                {
+                    type: 'application/vnd.ibm.kms.key+json',
+                    name: keyName,
+                    description,
+                    extractable: false
+                }
+            ]
+        };
+
+        const createResponse = await client.post('', JSON.stringify(requestBody));
+
+        const keyID = parseKeyID(createResponse);
+        log.info(`Successfully created root key ${keyID} in KeyProtect`);
+        return keyID;
+    } catch (error) {
+        throw keyActionError('create root key', keyName, error);
+    }
+};
+
+// Wraps a data encryption key (Buffer) with a root key. Without a DEK, KeyProtect
+// generates one. Returns { plaintext (Buffer), ciphertext (base64 wrapped DEK), keyVersion }.
+const wrapKey = async (rootKeyID, dek, aad) => {
+    const body = {};
+    if (dek)
+        body.plaintext = Buffer.from(dek).toString('base64');
+    if (aad)
+        body.aad = aad;
+
+    const result = await rootKeyAction('wrap', rootKeyID, body);
+    return {
+        plaintext: Buffer.from(result.plaintext || body.plaintext, 'base64'),
+        ciphertext: result.ciphertext,
+        keyVersion: result.keyVersion && result.keyVersion.id
+    };
+};
+
+// Unwraps a wrapped DEK and returns it as a Buffer.
+const unwrapKey = async (rootKeyID, ciphertext, aad) => {
+    const body = { ciphertext };
+    if (aad)
+        body.aad = aad;
+
+    const result = await rootKeyAction('unwrap', rootKeyID, body);
+    return Buffer.from(result.plaintext, 'base64');
+};
+
+// Re-wraps a wrapped DEK with the latest version of the root key, e.g. after rotateRootKey.
+// Returns { ciphertext, keyVersion }.
+const rewrapKey = async (rootKeyID, ciphertext, aad) => {
+    const body = { ciphertext };
+    if (aad)
+        body.aad = aad;
+
+    const result = await rootKeyAction('rewrap', rootKeyID, body);
+    return {
+        ciphertext: result.ciphertext,
+        keyVersion: result.keyVersion && result.keyVersion.id
+    };
+};
+
+// Creates a new version of a root key; DEKs wrapped with older versions can still be unwrapped.
+const rotateRootKey = async (rootKeyID) => {
+    await rootKeyAction('rotate', rootKeyID);
+    log.info(`Successfully rotated root key ${rootKeyID} in KeyProtect`);
+};
+
+const dekAlgorithm = 'aes-256-gcm';
+const dekIVLength = 12;
+
+// rootKeyID + wrapped DEK -> unwrapped DEK, so only the first use of a DEK calls KeyProtect
+const dekCache = new Map();
+
+const getDEK = async (rootKeyID, wrappedDEK) => {
+    const cacheKey = `${rootKeyID}:${wrappedDEK}`;
+    if (!dekCache.has(cacheKey)) {
+        dekCache.set(cacheKey, await unwrapKey(rootKeyID, wrappedDEK));
+    }
+    return dekCache.get(cacheKey);
+};
+
+const clearDEKCache = () => {
+    dekCache.clear();
+};
+
+// Generates a DEK wrapped by the root key: { wrappedDEK, keyVersion }. Store wrappedDEK
+// with the data; the plaintext DEK only lives in the local cache.
+const generateDataKey = async (rootKeyID) => {
+    const { plaintext, ciphertext, keyVersion } = await wrapKey(rootKeyID);
+    dekCache.set(`${rootKeyID}:${ciphertext}`, plaintext);
+    return { wrappedDEK: ciphertext, keyVersion };
+};
+
+// Encrypts data (string or Buffer) with AES-GCM under the DEK wrapped in wrappedDEK.
+// The returned envelope holds everything decrypt needs except access to the root key.
+const encrypt = async (rootKeyID, wrappedDEK, data) => {
+    const dek = await getDEK(rootKeyID, wrappedDEK);
+    const iv = crypto.randomBytes(dekIVLength);
+    const cipher = crypto.createCipheriv(dekAlgorithm, dek, iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(data)), cipher.final()]);
+
+    return {
+        rootKeyID,
+        wrappedDEK,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+};
+
+// Decrypts an envelope from encrypt; returns a Buffer, or a string when encoding is given.
+const decrypt = async (envelope, encoding) => {
+    const dek = await getDEK(envelope.rootKeyID, envelope.wrappedDEK);
+    const decipher = crypto.createDecipheriv(dekAlgorithm, dek, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+    ]);
+    return encoding ? data.toString(encoding) : data;
 };
 
 module.exports = {
     setConfig,
     getKeyByID,
     createKey,
+    getOrCreateKey,
+    setKeyLock,
     deleteKey,
     getNewestKeyByName,
-    getAllKeys
+    getNewestKeyWithIDByName,
+    getAllKeys,
+    listKeys,
+    listExpiringKeys,
+    getKeyMetadata,
+    enableKey,
+    disableKey,
+    getSecretStore,
+    rotateKey,
+    getKeyVersions,
+    getKeyVersion,
+    rollbackKey,
+    pruneKeyVersions,
+    retainKeyVersions,
+    createRootKey,
+    wrapKey,
+    unwrapKey,
+    rewrapKey,
+    rotateRootKey,
+    generateDataKey,
+    encrypt,
+    decrypt,
+    clearDEKCache,
+    invalidateKeyCache
 };
@@ -0,0 +1,208 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const { ConflictError, toHelperError } = require('./errors');
+
+const log = require('./logger').getLogger('lease-helper');
+
+const defaults = {
+  // ms a lease stays valid without renewal; a holder that has neither renewed nor released it
+  // by then loses it to the next replica. withLease renews it every ttl / 3.
+  ttl: 30000,
+  // ms to wait for a lease held by another replica
+  timeout: 60000,
+  // ms between attempts while waiting
+  retryInterval: 500,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const leaseDocId = (cloudantHelper, name) => `${cloudantHelper.config.dbPartitionKey}:lease-${name}`;
+
+// Creates the lease document, or takes over an expired one. Returns the new revision,
+// or undefined if another replica holds the lease or won the race for it.
+const tryAcquire = async (cloudantHelper, db, docId, owner, ttl) => {
+  const now = Date.now();
+  const existing = await cloudantHelper.getDocumentIfExists(db, docId);
+  if (existing && existing.expiresAt > now) {
+    return undefined;
+  }
+
+  const document = {
+    _id: docId,
+    type: 'lease',
+    owner,
+    acquiredAt: now,
+    expiresAt: now + ttl,
+  };
+  if (existing) {
+    log.warn(`Taking over expired lease ${docId} from ${existing.owner}`);
+    document._rev = existing._rev;
+  }
+
+  try {
+    const { result } = await cloudantHelper.cloudant.putDocument({ db, docId, document });
+    return result.rev;
+  } catch (err) {
+    if (err.status === 409) {
+      return undefined;
+    }
+    const errMsg = `Failed to acquire lease ${docId} in database ${db}: ${err.message}`;
+    log.error(errMsg);
+    throw toHelperError(err, errMsg);
+  }
+};
+
+// Extends the lease to ttl from now. Returns the new revision, or undefined if the lease
+// was taken over by another replica.
+const renewLease = async (cloudantHelper, db, docId, rev, owner, ttl) => {
+  const now = Date.now();
+  const document = {
+    _id: docId,
+    _rev: rev,
+    type: 'lease',
+    owner,
+    renewedAt: now,
+    expiresAt: now + ttl,
+  };
+  try {
+    const { result } = await cloudantHelper.cloudant.putDocument({ db, docId, document });
+    return result.rev;
+  } catch (err) {
+    if (err.status === 404 || err.status === 409) {
+      return undefined;
+    }
+    const errMsg = `Failed to renew lease ${docId} in database ${db}: ${err.message}`;
+    log.error(errMsg);
+    throw toHelperError(err, errMsg);
+  }
+};
+
+const releaseLease = async (cloudantHelper, db, docId, rev) => {
+  try {
+    await cloudantHelper.cloudant.deleteDocument({ db, docId, rev });
+    log.debug(`Released lease ${docId} in database ${db}`);
+  } catch (err) {
+    if (err.status === 404 || err.status === 409) {
+      log.warn(`Lease ${docId} in database ${db} expired and was taken over before it was released`);
+      return;
+    }
+    const errMsg = `Failed to release lease ${docId} in database ${db}: ${err.message}`;
+    log.error(errMsg);
+    throw toHelperError(err, errMsg);
+  }
+};
+
+// Acquires the lease `name`, a document in db on the cloudantHelper connection, waiting
+// while another replica holds it. Returns { name, owner, expiresAt, lost, renew(), check(),
+// release() }: renew() extends the lease by options.ttl, check() throws a ConflictError once
+// the lease has expired or was taken over, so a holder can fence its writes.
+// Throws a ConflictError if the lease cannot be acquired within options.timeout.
+const acquireLease = async (cloudantHelper, db, name, options = {}) => {
+  const settings = { ...defaults, ...options };
+  const docId = leaseDocId(cloudantHelper, name);
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const deadline = Date.now() + settings.timeout;
+
+  while (true) {
+    // eslint-disable-next-line no-await-in-loop
+    const rev = await tryAcquire(cloudantHelper, db, docId, owner, settings.ttl);
+    if (rev) {
+      log.debug(`Acquired lease ${name} in database ${db} (owner = ${owner})`);
+      let currentRev = rev;
+      const lease = {
+        name,
+        owner,
+        expiresAt: Date.now() + settings.ttl,
+        lost: false,
+        renew: async () => {
+          if (lease.lost) {
+            return false;
+          }
+          const renewedAt = Date.now();
+          const newRev = await renewLease(cloudantHelper, db, docId, currentRev, owner, settings.ttl);
+          if (!newRev) {
+            lease.lost = true;
+            log.error(`Lease ${name} in database ${db} was taken over by another replica`);
+            return false;
+          }
+          currentRev = newRev;
+          lease.expiresAt = renewedAt + settings.ttl;
+          return true;
+        },
+        check: () => {
+          if (lease.lost || Date.now() >= lease.expiresAt) {
+            lease.lost = true;
+            throw new ConflictError(`Lease ${name} in database ${db} expired or was taken over`);
+          }
+        },
+        release: () => releaseLease(cloudantHelper, db, docId, currentRev),
+      };
+      return lease;
+    }
+    if (Date.now() >= deadline) {
+      const errMsg = `Timed out after ${settings.timeout} ms waiting for lease ${name} in database ${db}`;
+      log.error(errMsg);
+      throw new ConflictError(errMsg);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(settings.retryInterval);
+  }
+};
+
+// Runs fn(lease) while holding the lease `name`, renewing it every ttl / 3 so fn may run
+// longer than the ttl. fn should call lease.check() before each write that must not overlap
+// with another holder, as the lease is lost if renewals fail for a whole ttl (e.g. Cloudant
+// is unreachable) or another replica takes it over. See acquireLease for options.
+const withLease = async (cloudantHelper, db, name, fn, options = {}) => {
+  const ttl = options.ttl || defaults.ttl;
+  const lease = await acquireLease(cloudantHelper, db, name, options);
+  let renewing;
+  const timer = setInterval(() => {
+    // a renewal still in flight holds the current revision; a second one would conflict with it
+    if (renewing) {
+      return;
+    }
+    renewing = lease.renew()
+      .catch((err) => {
+        log.warn(`Failed to renew lease ${name} in database ${db}, retrying: ${err.message}`);
+      })
+      .then(() => {
+        renewing = undefined;
+      });
+  }, Math.floor(ttl / 3));
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  try {
+    return await fn(lease);
+  } finally {
+    clearInterval(timer);
+    await renewing;
+    if (lease.lost || Date.now() >= lease.expiresAt) {
+      log.error(`Lease ${name} in database ${db} was lost before its holder finished`);
+    }
+    // A failed release must neither replace the outcome of fn nor make callers repeat work
+    // that succeeded; the lease expires after ttl anyway.
+    try {
+      await lease.release();
+    } catch (err) {
+      log.warn(`Lease ${name} in database ${db} will expire after ${ttl} ms instead: ${err.message}`);
+    }
+  }
+};
+
+module.exports = {
+  acquireLease,
+  withLease
+};
@@ -0,0 +1,492 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const crypto = require('crypto');
+const vm = require('vm');
+
+const log = require('./logger').getLogger('memory-cloudant');
+
+// In-memory stand-in for the CloudantV1 client, selected with
+// connection.backend = 'memory'. It implements the calls CloudantHelperLib makes,
+// with responses shaped like the SDK's ({ result, status }) and errors carrying
+// the SDK's status/statusText. Mango support covers the common operators; indexes
+// are recorded but queries always scan.
+
+const serviceError = (status, error, reason) => {
+  const err = new Error(reason);
+  err.status = status;
+  err.code = status;
+  err.statusText = error;
+  err.body = JSON.stringify({ error, reason });
+  return err;
+};
+
+const response = (result, status = 200) => ({ result, status });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+// CouchDB collation: null < false < true < numbers < strings < arrays < objects
+const collate = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 3) return a - b;
+  if (rankA === 4) return a < b ? -1 : (a > b ? 1 : 0);
+  if (rankA === 5) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const result = collate(a[i], b[i]);
+      if (result) return result;
+    }
+    return a.length - b.length;
+  }
+  if (rankA === 6) return collate(JSON.stringify(a), JSON.stringify(b));
+  return 0;
+};
+
+const getField = (doc, path) => path.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const isOperatorObject = (condition) => condition !== null
+  && typeof condition === 'object'
+  && !Array.isArray(condition)
+  && Object.keys(condition).some((key) => key.startsWith('$'));
+
+let matchSelector;
+
+const matchCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      return value !== null && typeof value === 'object' && matchSelector(value, condition);
+    }
+    return value !== undefined && collate(value, condition) === 0;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return value !== undefined && collate(value, operand) === 0;
+      case '$ne': return value === undefined || collate(value, operand) !== 0;
+      case '$gt': return value !== undefined && collate(value, operand) > 0;
+      case '$gte': return value !== undefined && collate(value, operand) >= 0;
+      case '$lt': return value !== undefined && collate(value, operand) < 0;
+      case '$lte': return value !== undefined && collate(value, operand) <= 0;
+      case '$in': return value !== undefined && operand.some((item) => collate(value, item) === 0);
+      case '$nin': return value === undefined || !operand.some((item) => collate(value, item) === 0);
+      case '$exists': return (value !== undefined) === operand;
+      case '$regex': return typeof value === 'string' && new RegExp(operand).test(value);
+      case '$size': return Array.isArray(value) && value.length === operand;
+      case '$all': return Array.isArray(value)
+        && operand.every((item) => value.some((element) => collate(element, item) === 0));
+      case '$elemMatch': return Array.isArray(value)
+        && value.some((element) => matchCondition(element, operand));
+      case '$not': return !matchCondition(value, operand);
+      case '$type': return (value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value)) === operand;
+      default: throw serviceError(400, 'invalid_operator', `Invalid operator: ${operator}`);
+    }
+  });
+};
+
+matchSelector = (doc, selector) => Object.entries(selector || {}).every(([key, condition]) => {
+  switch (key) {
+    case '$and': return condition.every((sub) => matchSelector(doc, sub));
+    case '$or': return condition.some((sub) => matchSelector(doc, sub));
+    case '$nor': return !condition.some((sub) => matchSelector(doc, sub));
+    case '$not': return !matchSelector(doc, condition);
+    default: return matchCondition(getField(doc, key), condition);
+  }
+});
+
+const sortCriteria = (sort) => [
+  ...(sort || []).map((entry) => {
+    if (typeof entry === 'string') return { field: entry, direction: 1 };
+    const [field] = Object.keys(entry);
+    return { field, direction: entry[field] === 'desc' ? -1 : 1 };
+  }),
+  { field: '_id', direction: 1 },
+];
+
+const sortKey = (doc, criteria) => criteria.map(({ field }) => getField(doc, field));
+
+const compareSortKeys = (a, b, criteria) => {
+  for (let i = 0; i < criteria.length; i += 1) {
+    const result = collate(a[i], b[i]);
+    if (result) return result * criteria[i].direction;
+  }
+  return 0;
+};
+
+const sortDocs = (docs, sort) => {
+  const criteria = sortCriteria(sort);
+  return docs.sort((a, b) => compareSortKeys(sortKey(a, criteria), sortKey(b, criteria), criteria));
+};
+
+const projectFields = (doc, fields) => {
+  if (!fields || !fields.length) {
+    return doc;
+  }
+  const projected = {};
+  for (const field of fields) {
+    const value = getField(doc, field);
+    if (value !== undefined) {
+      const path = field.split('.');
+      let target = projected;
+      path.slice(0, -1).forEach((key) => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+    }
+  }
+  return projected;
+};
+
+// Like Cloudant's, bookmarks hold the sort key of the last returned document, so
+// documents deleted between pages do not shift the next page.
+const encodeBookmark = (key) => Buffer.from(JSON.stringify(key)).toString('base64');
+const decodeBookmark = (bookmark) => {
+  try {
+    return JSON.parse(Buffer.from(bookmark, 'base64').toString());
+  } catch (err) {
+    throw serviceError(400, 'invalid_bookmark', 'Invalid bookmark value');
+  }
+};
+
+const nextRev = (rev) => {
+  const generation = rev ? Number(rev.split('-')[0]) : 0;
+  return `${generation + 1}-${crypto.randomBytes(16).toString('hex')}`;
+};
+
+class MemoryCloudant {
+  constructor() {
+    this.databases = new Map();
+    log.info('Using in-memory Cloudant backend');
+  }
+
+  getDatabase(db) {
+    const database = this.databases.get(db);
+    if (!database) {
+      throw serviceError(404, 'not_found', 'Database does not exist.');
+    }
+    return database;
+  }
+
+  // Stores a document revision; returns a DocumentResult like _bulk_docs does.
+  writeDocument(database, doc, store = database.docs) {
+    const id = doc._id || crypto.randomBytes(16).toString('hex');
+    const current = store.get(id);
+    if (current && current._rev !== doc._rev && !(current._deleted && !doc._rev)) {
+      return { id, error: 'conflict', reason: 'Document update conflict.' };
+    }
+    if (database.partitioned && store === database.docs && !id.startsWith('_design/') && !id.includes(':')) {
+      return { id, error: 'illegal_docid', reason: 'Doc id must be of form partition:id' };
+    }
+
+    const stored = { ...clone(doc), _id: id, _rev: nextRev(current ? current._rev : undefined) };
+    store.set(id, stored);
+    if (store === database.docs) {
+      database.seq += 1;
+      database.changes.set(id, database.seq);
+      database.waiters.splice(0).forEach((wakeUp) => wakeUp());
+    }
+    return { id, ok: true, rev: stored._rev };
+  }
+
+  liveDocs(database) {
+    return [...database.docs.values()].filter((doc) => !doc._deleted);
+  }
+
+  async getSessionInformation() {
+    return response({ ok: true, userCtx: { name: 'memory', roles: ['_admin'] } });
+  }
+
+  async getAllDbs() {
+    return response([...this.databases.keys()].sort());
+  }
+
+  async getDatabaseInformation({ db }) {
+    const database = this.getDatabase(db);
+    const docs = [...database.docs.values()];
+    return response({
+      db_name: db,
+      doc_count: docs.filter((doc) => !doc._deleted).length,
+      doc_del_count: docs.filter((doc) => doc._deleted).length,
+      update_seq: String(database.seq),
+      props: database.partitioned ? { partitioned: true } : {},
+    });
+  }
+
+  async putDatabase({ db, partitioned }) {
+    if (this.databases.has(db)) {
+      throw serviceError(412, 'file_exists', 'The database could not be created, the file already exists.');
+    }
+    this.databases.set(db, {
+      partitioned: !!partitioned,
+      docs: new Map(),
+      localDocs: new Map(),
+      indexes: [],
+      changes: new Map(),
+      seq: 0,
+      waiters: [],
+    });
+    return response({ ok: true }, 201);
+  }
+
+  async deleteDatabase({ db }) {
+    this.getDatabase(db);
+    this.databases.delete(db);
+    return response({ ok: true });
+  }
+
+  async getUuids({ count = 1 } = {}) {
+    const uuids = Array.from({ length: count }, () => crypto.randomBytes(16).toString('hex'));
+    return response({ uuids });
+  }
+
+  async getDocument({ db, docId }) {
+    const doc = this.getDatabase(db).docs.get(docId);
+    if (!doc || doc._deleted) {
+      throw serviceError(404, 'not_found', doc ? 'deleted' : 'missing');
+    }
+    return response(clone(doc));
+  }
+
+  async postDocument({ db, document }) {
+    const result = this.writeDocument(this.getDatabase(db), document);
+    if (result.error) {
+      throw serviceError(result.error === 'conflict' ? 409 : 400, result.error, result.reason);
+    }
+    return response(result, 201);
+  }
+
+  async putDocument({ db, docId, document }) {
+    return this.postDocument({ db, document: { ...document, _id: docId } });
+  }
+
+  async deleteDocument({ db, docId, rev }) {
+    const database = this.getDatabase(db);
+    const current = database.docs.get(docId);
+    if (!current || current._deleted) {
+      throw serviceError(404, 'not_found', 'missing');
+    }
+    return this.postDocument({ db, document: { _id: docId, _rev: rev, _deleted: true } });
+  }
+
+  async postBulkDocs({ db, bulkDocs }) {
+    const database = this.getDatabase(db);
+    const result = bulkDocs.docs.map((doc) => this.writeDocument(database, doc));
+    return response(result, 201);
+  }
+
+  async postAllDocs({ db, includeDocs, keys }) {
+    const database = this.getDatabase(db);
+    const docs = keys
+      ? keys.map((key) => database.docs.get(key)).filter((doc) => doc && !doc._deleted)
+      : sortDocs(this.liveDocs(database), []);
+    const rows = docs.map((doc) => ({
+      id: doc._id,
+      key: doc._id,
+      value: { rev: doc._rev },
+      doc: includeDocs ? clone(doc) : undefined,
+    }));
+    return response({ total_rows: rows.length, rows });
+  }
+
+  async getLocalDocument({ db, docId }) {
+    const doc = this.getDatabase(db).localDocs.get(`_local/${docId}`);
+    if (!doc) {
+      throw serviceError(404, 'not_found', 'missing');
+    }
+    return response(clone(doc));
+  }
+
+  async putLocalDocument({ db, docId, document }) {
+    const database = this.getDatabase(db);
+    const result = this.writeDocument(database, { ...document, _id: `_local/${docId}` }, database.localDocs);
+    if (result.error) {
+      throw serviceError(409, result.error, result.reason);
+    }
+    return response(result, 201);
+  }
+
+  async postIndex({ db, index, ddoc, name, type = 'json', partitioned }) {
+    const database = this.getDatabase(db);
+    const indexName = name || crypto.createHash('sha1').update(JSON.stringify(index)).digest('hex');
+    const existing = database.indexes.find((entry) => entry.name === indexName);
+    if (existing && JSON.stringify(existing.def) === JSON.stringify(index)) {
+      return response({ id: existing.ddoc, name: indexName, result: 'exists' });
+    }
+    const entry = {
+      ddoc: `_design/${ddoc || crypto.randomBytes(20).toString('hex')}`,
+      name: indexName,
+      type,
+      def: clone(index),
+      partitioned: partitioned === undefined ? database.partitioned : partitioned,
+    };
+    database.indexes.push(entry);
+    return response({ id: entry.ddoc, name: indexName, result: 'created' });
+  }
+
+  async getIndexesInformation({ db }) {
+    const database = this.getDatabase(db);
+    const indexes = [
+      { ddoc: null, name: '_all_docs', type: 'special', def: { fields: [{ _id: 'asc' }] } },
+      ...database.indexes.map((entry) => {
+        const fields = (entry.def.fields || []).map((field) => {
+          if (typeof field === 'string') return { [field]: entry.type === 'text' ? 'string' : 'asc' };
+          if (field.name && field.type) return { [field.name]: field.type };
+          return field;
+        });
+        return { ...clone(entry), def: { ...clone(entry.def), fields } };
+      }),
+    ];
+    return response({ total_rows: indexes.length, indexes });
+  }
+
+  async deleteIndex({ db, ddoc, type, index }) {
+    const database = this.getDatabase(db);
+    const position = database.indexes.findIndex((entry) => entry.ddoc === `_design/${ddoc}`
+      && entry.type === type && entry.name === index);
+    if (position === -1) {
+      throw serviceError(404, 'not_found', 'Index not found');
+    }
+    database.indexes.splice(position, 1);
+    return response({ ok: true });
+  }
+
+  async getDesignDocument({ db, ddoc }) {
+    return this.getDocument({ db, docId: `_design/${ddoc}` });
+  }
+
+  async putDesignDocument({ db, ddoc, designDocument }) {
+    return this.postDocument({ db, document: { ...designDocument, _id: `_design/${ddoc}` } });
+  }
+
+  find(database, params, partitionKey) {
+    const matching = this.liveDocs(database).filter((doc) => !doc._id.startsWith('_design/')
+      && (!partitionKey || doc._id.startsWith(`${partitionKey}:`))
+      && matchSelector(doc, params.selector));
+
+    const criteria = sortCriteria(params.sort);
+    let sorted = sortDocs(matching, params.sort);
+    // the bookmark of an empty first page holds no key and starts from the beginning again
+    const after = params.bookmark ? decodeBookmark(params.bookmark) : null;
+    if (after) {
+      sorted = sorted.filter((doc) => compareSortKeys(sortKey(doc, criteria), after, criteria) > 0);
+    }
+    const skip = params.skip || 0;
+    const page = sorted.slice(skip, skip + (params.limit || 25));
+    const last = page.length ? sortKey(page[page.length - 1], criteria) : null;
+    return response({
+      docs: page.map((doc) => projectFields(clone(doc), params.fields)),
+      bookmark: last ? encodeBookmark(last) : (params.bookmark || encodeBookmark(null)),
+    });
+  }
+
+  async postFind(params) {
+    return this.find(this.getDatabase(params.db), params);
+  }
+
+  async postPartitionFind(params) {
+    return this.find(this.getDatabase(params.db), params, params.partitionKey);
+  }
+
+  async postPartitionView(params) {
+    const database = this.getDatabase(params.db);
+    const designDoc = database.docs.get(`_design/${params.ddoc}`);
+    const view = designDoc && !designDoc._deleted && designDoc.views && designDoc.views[params.view];
+    if (!view) {
+      throw serviceError(404, 'not_found', 'missing_named_view');
+    }
+
+    let rows = [];
+    let current;
+    const map = vm.runInNewContext(`(${view.map})`, {
+      emit: (key, value) => rows.push({ id: current._id, key: clone(key), value: clone(value === undefined ? null : value) }),
+    });
+    this.liveDocs(database)
+      .filter((doc) => doc._id.startsWith(`${params.partitionKey}:`))
+      .forEach((doc) => {
+        current = doc;
+        map(clone(doc));
+      });
+
+    rows.sort((a, b) => collate(a.key, b.key) || collate(a.id, b.id));
+    if (params.key !== undefined) rows = rows.filter((row) => collate(row.key, params.key) === 0);
+    if (params.keys) rows = rows.filter((row) => params.keys.some((key) => collate(row.key, key) === 0));
+    if (params.startkey !== undefined) rows = rows.filter((row) => collate(row.key, params.startkey) >= 0);
+    if (params.endkey !== undefined) {
+      rows = rows.filter((row) => (params.inclusiveEnd === false
+        ? collate(row.key, params.endkey) < 0
+        : collate(row.key, params.endkey) <= 0));
+    }
+    if (params.descending) rows.reverse();
+
+    if (view.reduce && params.reduce !== false) {
+      const values = rows.map((row) => row.value);
+      if (view.reduce === '_count') return response({ rows: [{ key: null, value: values.length }] });
+      if (view.reduce === '_sum') return response({ rows: [{ key: null, value: values.reduce((sum, value) => sum + value, 0) }] });
+      throw serviceError(400, 'invalid_reduce', `Unsupported reduce function: ${view.reduce}`);
+    }
+
+    const totalRows = rows.length;
+    rows = rows.slice(params.skip || 0, params.limit ? (params.skip || 0) + params.limit : undefined);
+    if (params.includeDocs) {
+      rows = rows.map((row) => ({ ...row, doc: clone(database.docs.get(row.id)) }));
+    }
+    return response({ total_rows: totalRows, rows });
+  }
+
+  async postChanges(params) {
+    const database = this.getDatabase(params.db);
+    const since = params.since === 'now' ? database.seq : Number(params.since || 0);
+
+    if (params.feed === 'longpoll' && database.seq <= since) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, params.timeout || 60000);
+        database.waiters.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+
+    let results = [...database.changes.entries()]
+      .filter(([, seq]) => seq > since)
+      .sort((a, b) => a[1] - b[1])
+      .map(([id, seq]) => ({ id, seq, doc: database.docs.get(id) }))
+      .filter(({ doc }) => params.filter !== '_selector' || matchSelector(doc, params.selector));
+    if (params.limit) {
+      results = results.slice(0, params.limit);
+    }
+
+    const lastSeq = results.length ? results[results.length - 1].seq : Math.max(since, database.seq);
+    return response({
+      last_seq: String(lastSeq),
+      pending: 0,
+      results: results.map(({ id, seq, doc }) => ({
+        id,
+        seq: String(seq),
+        changes: [{ rev: doc._rev }],
+        deleted: doc._deleted || undefined,
+        doc: params.includeDocs ? clone(doc) : undefined,
+      })),
+    });
+  }
+}
+
+module.exports = MemoryCloudant;
@@ -0,0 +1,192 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const crypto = require('crypto');
+
+const helperKeyProtect = require('./keyprotect-helper');
+const canonicalJSON = require('./canonical-json');
+const { ConfigError, NotFoundError } = require('./errors');
+
+const log = require('./logger').getLogger('pii-crypto-helper');
+
+const algorithm = 'aes-256-gcm';
+const ivLength = 12;
+const keyLength = 32;
+// KeyProtect state of keys that can be read
+const activeKeyState = 1;
+
+// KeyProtect key ID -> Buffer, so documents written with older keys stay readable
+const keysByID = new Map();
+// KeyProtect key name -> { id, key } for the newest key used on writes
+const newestKeysByName = new Map();
+// Index key name -> [{ id, key }] for every active version, newest first
+const indexKeysByName = new Map();
+
+const decodeKey = (payload, keyID) => {
+    if (!payload || !payload.key) {
+        throw new NotFoundError(`PII key ${keyID} not found in KeyProtect`);
+    }
+    const key = Buffer.from(payload.key, 'base64');
+    if (key.length !== keyLength) {
+        throw new ConfigError(`PII key ${keyID} has an invalid length`);
+    }
+    return key;
+};
+
+// Keys are read through the secret store rather than the KeyProtect getters, which return ''
+// on failure unless strict: a failing KeyProtect must not be reported as a missing key.
+const getKeyByID = async (keyID) => {
+    if (!keysByID.has(keyID)) {
+        const payload = await helperKeyProtect.getSecretStore().getByID(keyID);
+        keysByID.set(keyID, decodeKey(payload, keyID));
+    }
+    return keysByID.get(keyID);
+};
+
+const getNewestKey = async (keyName) => {
+    if (!newestKeysByName.has(keyName)) {
+        helperKeyProtect.retainKeyVersions(keyName);
+        const newestKey = await helperKeyProtect.getSecretStore().getNewestByName(keyName);
+        if (!newestKey) {
+            throw new NotFoundError(`PII key ${keyName} not found in KeyProtect`);
+        }
+        const key = decodeKey(newestKey.payload, newestKey.id);
+        keysByID.set(newestKey.id, key);
+        newestKeysByName.set(keyName, { id: newestKey.id, key });
+        log.info(`Loaded PII key ${keyName} (id = ${newestKey.id}) from KeyProtect`);
+    }
+    return newestKeysByName.get(keyName);
+};
+
+// Active versions of an index key, newest first. With options.refresh the versions are
+// listed again, e.g. to pick up a version created by another replica.
+const getIndexKeys = async (keyName, options = {}) => {
+    if (options.refresh || !indexKeysByName.has(keyName)) {
+        helperKeyProtect.retainKeyVersions(keyName);
+        const keyList = await helperKeyProtect.getSecretStore().list({ extractable: true });
+        const versions = keyList
+            .filter((key) => key.name === keyName && (!key.state || key.state === activeKeyState))
+            .sort((a, b) => new Date(b.creationDate) - new Date(a.creationDate) || (a.id < b.id ? -1 : 1));
+        if (!versions.length) {
+            throw new NotFoundError(`PII key ${keyName} not found in KeyProtect`);
+        }
+        const keys = [];
+        for (const version of versions) {
+            // eslint-disable-next-line no-await-in-loop
+            keys.push({ id: version.id, key: await getKeyByID(version.id) });
+        }
+        indexKeysByName.set(keyName, keys);
+        log.info(`Loaded ${keys.length} version(s) of PII index key ${keyName} from KeyProtect`);
+    }
+    return indexKeysByName.get(keyName);
+};
+
+// Generates a new random key and stores it in KeyProtect under keyName as its newest
+// version. Existing documents stay readable and, for an index key, are still found by
+// blindIndexes only as long as the previous versions exist: PII keys must never be pruned.
+// Key names used here are retained (see retainKeyVersions in keyprotect-helper).
+const createPiiKey = async (keyName) => {
+    helperKeyProtect.retainKeyVersions(keyName);
+    const key = crypto.randomBytes(keyLength).toString('base64');
+    const keyID = await helperKeyProtect.createKey(keyName, { key });
+    newestKeysByName.delete(keyName);
+    indexKeysByName.delete(keyName);
+    return keyID;
+};
+
+// Drops cached keys, e.g. after a key rotation, so the newest keys are loaded again.
+const clearKeyCache = () => {
+    keysByID.clear();
+    newestKeysByName.clear();
+    indexKeysByName.clear();
+};
+
+// Objects are serialized with sorted keys, so equal values get the same blind index.
+const serialize = (pii) => (typeof pii === 'string' ? pii : canonicalJSON(pii));
+
+const encrypt = async (pii, keyName) => {
+    const { id, key } = await getNewestKey(keyName);
+    const iv = crypto.randomBytes(ivLength);
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    const data = Buffer.concat([cipher.update(serialize(pii), 'utf8'), cipher.final()]);
+
+    const encrypted = {
+        keyID: id,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+    // non-string PII is stored as JSON and parsed again by decrypt
+    if (typeof pii !== 'string') {
+        encrypted.format = 'json';
+    }
+    return encrypted;
+};
+
+const decrypt = async (encrypted) => {
+    const key = await getKeyByID(encrypted.keyID);
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    const data = Buffer.concat([
+        decipher.update(Buffer.from(encrypted.data, 'base64')),
+        decipher.final(),
+    ]);
+    const value = data.toString('utf8');
+    return encrypted.format === 'json' ? JSON.parse(value) : value;
+};
+
+const hmac = (pii, { id, key }) => ({
+    keyID: id,
+    hash: crypto.createHmac('sha256', key).update(serialize(pii)).digest('hex'),
+});
+
+// Keyed hash used to look up encrypted PII by value, computed with the newest version
+// of the index key. Stored as piiHash on writes.
+const blindIndex = async (pii, indexKeyName) => {
+    const [newest] = await getIndexKeys(indexKeyName);
+    return hmac(pii, newest);
+};
+
+// Keyed hashes of pii under every version of the index key, newest first, so that
+// documents indexed before the index key was rotated are still found. options as for
+// getIndexKeys.
+const blindIndexes = async (pii, indexKeyName, options) => {
+    const keys = await getIndexKeys(indexKeyName, options);
+    return keys.map((key) => hmac(pii, key));
+};
+
+// Builds the stored fields for a PII value: { piiHash, piiHashKeyID, piiEncrypted }.
+// config: { keyName, indexKeyName }
+const protectPii = async (pii, config) => {
+    const index = await blindIndex(pii, config.indexKeyName);
+    return {
+        piiHash: index.hash,
+        piiHashKeyID: index.keyID,
+        piiEncrypted: await encrypt(pii, config.keyName),
+    };
+};
+
+// Returns the document with the decrypted value in `pii`.
+const revealPii = async (doc) => {
+    if (!doc || !doc.piiEncrypted) {
+        return doc;
+    }
+    const revealed = { ...doc, pii: await decrypt(doc.piiEncrypted) };
+    delete revealed.piiEncrypted;
+    return revealed;
+};
+
+module.exports = {
+    createPiiKey,
+    clearKeyCache,
+    blindIndex,
+    blindIndexes,
+    protectPii,
+    revealPii
+};
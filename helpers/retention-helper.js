@@ -0,0 +1,157 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const moment = require('moment');
+
+const { ValidationError } = require('./errors');
+
+const log = require('./logger').getLogger('retention-helper');
+
+const defaults = {
+  timestampField: 'latestTimestamp',
+  timestampFormat: 'epoch',
+  batchSize: 200,
+  dryRun: false,
+};
+
+// Cutoff in the representation the documents use: 'epoch' (ms), 'epochSeconds' or 'iso'.
+const formatCutoff = (cutoff, format) => {
+  switch (format) {
+    case 'epoch': return cutoff.valueOf();
+    case 'epochSeconds': return cutoff.unix();
+    case 'iso': return cutoff.toISOString();
+    default: throw new ValidationError(`Invalid timestamp format '${format}'`);
+  }
+};
+
+const buildSelector = (options, cutoff) => {
+  const selector = { [options.timestampField]: { $lt: cutoff } };
+  if (Array.isArray(options.status)) {
+    selector.status = { $in: options.status };
+  } else if (options.status !== undefined) {
+    selector.status = options.status;
+  }
+  return selector;
+};
+
+// Deletes documents in the connection's partition whose timestamp field is older than
+// options.maxAge (ms), using latestTimestamp-index from the gatewayListener indexes.
+// options:
+//   maxAge          - required, age in ms
+//   status          - only documents with this status (string or array)
+//   timestampField  - default 'latestTimestamp'
+//   timestampFormat - 'epoch' (default), 'epochSeconds' or 'iso'
+//   batchSize       - documents per query page and bulk delete
+//   dryRun          - only report what would be removed
+//   archiveDb       - copy documents into this database before deleting them
+//   archive         - async (docs) => void, called with each batch before deleting it
+// Documents modified while the purge runs are skipped rather than deleted.
+const purgeExpiredDocuments = async (cloudantHelper, db, options = {}) => {
+  const settings = { ...defaults, ...options };
+  if (!(settings.maxAge > 0)) {
+    throw new ValidationError('purgeExpiredDocuments() is missing a positive maxAge option');
+  }
+
+  const cutoff = moment().subtract(settings.maxAge, 'milliseconds');
+  const selector = buildSelector(settings, formatCutoff(cutoff, settings.timestampFormat));
+  const needsFullDocs = settings.archiveDb || settings.archive;
+  const queryOptions = {
+    sort: [{ [settings.timestampField]: 'desc' }],
+    limit: settings.batchSize,
+    fields: needsFullDocs ? undefined : ['_id', '_rev'],
+  };
+
+  const report = {
+    db,
+    dryRun: settings.dryRun,
+    cutoff: cutoff.toISOString(),
+    matched: 0,
+    removed: [],
+    archived: 0,
+    skipped: [],
+    failed: [],
+  };
+  const seen = new Set();
+  let bookmark;
+
+  log.info(`Purging documents older than ${report.cutoff} in database ${db}${settings.dryRun ? ' (dry run)' : ''}`);
+  while (true) {
+    // Bookmarks point past the last returned sort key, so deleting a page does not shift the next one.
+    // eslint-disable-next-line no-await-in-loop
+    const page = await cloudantHelper.findPageByQuery(db, selector, { ...queryOptions, bookmark });
+    const docs = page.docs.filter((doc) => !seen.has(doc._id));
+    if (!docs.length) {
+      break;
+    }
+    docs.forEach((doc) => seen.add(doc._id));
+    report.matched += docs.length;
+
+    if (settings.dryRun) {
+      report.removed.push(...docs.map((doc) => doc._id));
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      await archiveBatch(cloudantHelper, docs, settings, report);
+      // eslint-disable-next-line no-await-in-loop
+      await deleteBatch(cloudantHelper, db, docs, report);
+    }
+
+    if (page.docs.length < settings.batchSize) {
+      break;
+    }
+    bookmark = page.bookmark;
+  }
+
+  log.info(`Purged ${report.removed.length} of ${report.matched} expired document(s) in database ${db}`
+    + `${settings.dryRun ? ' (dry run)' : ''}, skipped ${report.skipped.length}, failed ${report.failed.length}`);
+  return report;
+};
+
+const archiveBatch = async (cloudantHelper, docs, settings, report) => {
+  if (settings.archive) {
+    await settings.archive(docs);
+  }
+  if (settings.archiveDb) {
+    const copies = docs.map((doc) => {
+      const copy = { ...doc };
+      delete copy._rev;
+      return copy;
+    });
+    await cloudantHelper.createOrUpdateBulk(settings.archiveDb, copies, { onConflict: 'retry' });
+  }
+  if (settings.archive || settings.archiveDb) {
+    report.archived += docs.length;
+  }
+};
+
+const deleteBatch = async (cloudantHelper, db, docs, report) => {
+  const tombstones = docs.map((doc) => ({ _id: doc._id, _rev: doc._rev, _deleted: true }));
+  let results;
+  try {
+    results = await cloudantHelper.createOrUpdateBulk(db, tombstones, { onConflict: 'skip' });
+  } catch (err) {
+    if (!err.results) {
+      throw err;
+    }
+    ({ results } = err);
+  }
+
+  results.forEach((result) => {
+    if (result.skipped) {
+      report.skipped.push(result.id);
+    } else if (result.error) {
+      report.failed.push({ id: result.id, error: result.error, reason: result.reason });
+    } else {
+      report.removed.push(result.id);
+    }
+  });
+};
+
+module.exports = {
+  purgeExpiredDocuments
+};
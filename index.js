@@ -8,17 +8,37 @@
  */
 
 const CloudantHelperLib = require('./helpers/cloudant-helper');
+const ChangesFollower = require('./helpers/changes-follower');
+const MemoryCloudant = require('./helpers/memory-cloudant');
 const helperAppID = require('./helpers/app-id-helper');
+const AppIDSession = require('./helpers/app-id-session');
+const helperAppIDUsers = require('./helpers/app-id-users-helper');
+const helperAppIDProvisioning = require('./helpers/app-id-provisioning-helper');
 const helperKeyProtect = require('./helpers/keyprotect-helper');
+const httpConfig = require('./helpers/http-config');
+const errors = require('./helpers/errors');
+const helperPiiCrypto = require('./helpers/pii-crypto-helper');
+const helperRetention = require('./helpers/retention-helper');
+const helperLease = require('./helpers/lease-helper');
 const idGenerator = require('./helpers/helper');
 const deIdentifierIndexes = require('./cloudant-indexes/deIdentifier.json');
 const gatewayListenerIndexes = require('./cloudant-indexes/gatewayListener.json');
 
 module.exports = {
     CloudantHelperLib,
+    ChangesFollower,
+    MemoryCloudant,
     helperAppID,
+    AppIDSession,
+    helperAppIDUsers,
+    helperAppIDProvisioning,
     helperKeyProtect,
+    httpConfig,
+    helperPiiCrypto,
+    helperRetention,
+    helperLease,
     idGenerator,
     deIdentifierIndexes,
-    gatewayListenerIndexes
+    gatewayListenerIndexes,
+    ...errors
 };
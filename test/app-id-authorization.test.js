@@ -0,0 +1,92 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const { requireTenant, authorize } = require('../helpers/app-id-helper');
+
+const identity = (userTenantID) => ({
+    subject: 'user-1',
+    scopes: [],
+    roles: [],
+    userTenantID,
+});
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+        this.headers[name] = value;
+    },
+    end(body) {
+        this.body = body;
+    },
+});
+
+// Runs the middleware and returns { nextCalled, res }.
+const run = async (middleware, req) => {
+    const res = fakeResponse();
+    let nextCalled = false;
+    await middleware(req, res, () => {
+        nextCalled = true;
+    });
+    return { nextCalled, res };
+};
+
+const tests = {
+    'requireTenant lets users of the tenant through': async () => {
+        const middleware = requireTenant((req) => req.params.tenantID);
+        const { nextCalled } = await run(middleware, { params: { tenantID: 'org1' }, identity: identity('org1') });
+        assert.strictEqual(nextCalled, true);
+    },
+
+    'requireTenant denies users of another tenant': async () => {
+        const middleware = requireTenant((req) => req.params.tenantID);
+        const { nextCalled, res } = await run(middleware, { params: { tenantID: 'org1' }, identity: identity('org2') });
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 403);
+    },
+
+    'requireTenant denies when the tenant resolves to undefined': async () => {
+        const middleware = requireTenant((req) => req.params.tenantID);
+        const { nextCalled, res } = await run(middleware, { params: {}, identity: identity('org1') });
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 403);
+    },
+
+    'requireTenant denies when the tenant is empty': async () => {
+        const { nextCalled, res } = await run(requireTenant(''), { identity: identity('org1') });
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 403);
+    },
+
+    'requireTenant denies users without a TenantID claim': async () => {
+        const middleware = requireTenant((req) => req.params.tenantID);
+        const { nextCalled, res } = await run(middleware, { params: { tenantID: 'org1' }, identity: identity(undefined) });
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 403);
+    },
+
+    'requireTenant denies users without a TenantID claim on routes without a tenant': async () => {
+        const middleware = requireTenant((req) => req.params.tenantID);
+        const { nextCalled, res } = await run(middleware, { params: {}, identity: identity(undefined) });
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 403);
+    },
+
+    'authorize without a tenant requirement ignores the tenant': async () => {
+        assert.doesNotThrow(() => authorize(identity(undefined), {}));
+    },
+
+    'authorize denies a present but undefined tenant requirement': async () => {
+        assert.throws(() => authorize(identity('org1'), { tenantID: undefined }), { name: 'AuthError', status: 403 });
+    },
+};
+
+module.exports = tests;
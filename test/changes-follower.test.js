@@ -0,0 +1,125 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const ChangesFollower = require('../helpers/changes-follower');
+const {
+    dbPartitionKey,
+    failNextCalls,
+    memoryConnection,
+    waitFor,
+} = require('./support');
+
+const db = 'test-db';
+
+const followerOptions = (options) => ({
+    db,
+    checkpointId: 'test-follower',
+    since: '0',
+    timeout: 50,
+    minBackoff: 10,
+    maxBackoff: 20,
+    ...options,
+});
+
+const postDocs = (cloudantHelper, names) => Promise.all(names.map((name) => cloudantHelper.cloudant.postDocument({
+    db,
+    document: { _id: `${dbPartitionKey}:${name}` },
+})));
+
+// Starts a follower, waits until it has seen `count` changes and stops it.
+const followUntil = async (cloudantHelper, options, count, seen) => {
+    const follower = new ChangesFollower(cloudantHelper, followerOptions(options));
+    try {
+        await follower.start();
+        await waitFor(() => seen.length >= count);
+    } finally {
+        await follower.stop();
+    }
+    return follower;
+};
+
+const tests = {
+    'delivers changes in order and resumes from the saved checkpoint': async () => {
+        const cloudantHelper = await memoryConnection();
+        await postDocs(cloudantHelper, ['a', 'b']);
+        const seen = [];
+        const handler = (change) => {
+            seen.push(change.id);
+        };
+        await followUntil(cloudantHelper, { handler }, 2, seen);
+
+        await postDocs(cloudantHelper, ['c']);
+        await followUntil(cloudantHelper, { handler }, 3, seen);
+        assert.deepStrictEqual(seen, ['a', 'b', 'c'].map((name) => `${dbPartitionKey}:${name}`));
+    },
+
+    'delivers a change again until its handler succeeds': async () => {
+        const cloudantHelper = await memoryConnection();
+        await postDocs(cloudantHelper, ['a']);
+        let attempts = 0;
+        const seen = [];
+        const handler = (change) => {
+            attempts += 1;
+            if (attempts < 3) {
+                throw new Error('handler failed');
+            }
+            seen.push(change.id);
+        };
+        await followUntil(cloudantHelper, { handler }, 1, seen);
+        assert.strictEqual(attempts, 3);
+    },
+
+    'skips a change after maxAttempts and passes it to onError': async () => {
+        const cloudantHelper = await memoryConnection();
+        await postDocs(cloudantHelper, ['poison', 'good']);
+        const seen = [];
+        const parked = [];
+        const handler = (change) => {
+            if (change.id.endsWith('poison')) {
+                throw new Error('cannot handle');
+            }
+            seen.push(change.id);
+        };
+        const onError = (error, change) => {
+            parked.push({ id: change.id, message: error.message });
+        };
+        await followUntil(cloudantHelper, { handler, onError, maxAttempts: 2 }, 1, seen);
+        assert.deepStrictEqual(parked, [{ id: `${dbPartitionKey}:poison`, message: 'cannot handle' }]);
+        assert.deepStrictEqual(seen, [`${dbPartitionKey}:good`]);
+    },
+
+    'retries loading the checkpoint when Cloudant is unavailable': async () => {
+        const cloudantHelper = await memoryConnection();
+        await postDocs(cloudantHelper, ['a']);
+        failNextCalls(cloudantHelper.cloudant, 'getLocalDocument', 503, 2);
+        const seen = [];
+        await followUntil(cloudantHelper, { handler: (change) => seen.push(change.id) }, 1, seen);
+        assert.deepStrictEqual(seen, [`${dbPartitionKey}:a`]);
+    },
+
+    'takes over the checkpoint revision after a conflict': async () => {
+        const cloudantHelper = await memoryConnection();
+        await postDocs(cloudantHelper, ['a']);
+        const seen = [];
+        const handler = async (change) => {
+            seen.push(change.id);
+            // another follower with the same checkpointId saves before this one does
+            await cloudantHelper.cloudant.putLocalDocument({ db, docId: 'test-follower', document: { since: '0' } });
+        };
+        const follower = await followUntil(cloudantHelper, { handler }, 1, seen);
+        assert.strictEqual(follower.backoff, 0);
+        const { result } = await cloudantHelper.cloudant.getLocalDocument({ db, docId: 'test-follower' });
+        assert.strictEqual(result.since, follower.since);
+        assert.strictEqual(result._rev, follower.checkpointRev);
+    },
+};
+
+module.exports = tests;
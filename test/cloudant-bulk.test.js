@@ -0,0 +1,78 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const { dbPartitionKey, memoryConnection } = require('./support');
+
+const db = 'test-db';
+const docId = (name) => `${dbPartitionKey}:${name}`;
+
+// A connection holding doc 'a' (count: 1), and a stale copy of it without _rev.
+const connectionWithConflict = async () => {
+    const cloudantHelper = await memoryConnection();
+    await cloudantHelper.cloudant.postDocument({ db, document: { _id: docId('a'), count: 1, owner: 'first' } });
+    return { cloudantHelper, stale: { _id: docId('a'), count: 2 } };
+};
+
+const tests = {
+    'createOrUpdateBulk returns one result per document in input order across batches': async () => {
+        const cloudantHelper = await memoryConnection();
+        const docs = ['a', 'b', 'c', 'd', 'e'].map((name) => ({ _id: docId(name) }));
+        const results = await cloudantHelper.createOrUpdateBulk(db, docs, { batchSize: 2 });
+        assert.deepStrictEqual(results.map((result) => result.id), docs.map((doc) => doc._id));
+        assert.ok(results.every((result) => result.ok));
+    },
+
+    'createOrUpdateBulk fails on conflicts by default and reports every result': async () => {
+        const { cloudantHelper, stale } = await connectionWithConflict();
+        const error = await cloudantHelper.createOrUpdateBulk(db, [stale, { _id: docId('b') }])
+            .then(() => undefined, (err) => err);
+        assert.strictEqual(error.name, 'ConflictError');
+        assert.deepStrictEqual(error.results.map((result) => result.error || 'ok'), ['conflict', 'ok']);
+
+        // an ID outside any partition is rejected by the partitioned database
+        const mixed = await cloudantHelper.createOrUpdateBulk(db, [stale, { _id: 'unpartitioned' }])
+            .then(() => undefined, (err) => err);
+        assert.strictEqual(mixed.name, 'HelperError');
+    },
+
+    "createOrUpdateBulk with 'skip' leaves conflicted documents alone": async () => {
+        const { cloudantHelper, stale } = await connectionWithConflict();
+        const [result] = await cloudantHelper.createOrUpdateBulk(db, [stale], { onConflict: 'skip' });
+        assert.strictEqual(result.skipped, true);
+        assert.strictEqual((await cloudantHelper.getDocument(db, docId('a'))).count, 1);
+    },
+
+    "createOrUpdateBulk with 'retry' overwrites the current revision": async () => {
+        const { cloudantHelper, stale } = await connectionWithConflict();
+        const [result] = await cloudantHelper.createOrUpdateBulk(db, [stale], { onConflict: 'retry' });
+        assert.strictEqual(result.ok, true);
+        const doc = await cloudantHelper.getDocument(db, docId('a'));
+        assert.strictEqual(doc.count, 2);
+        assert.strictEqual(doc.owner, undefined);
+    },
+
+    "createOrUpdateBulk with 'merge' writes merge(current, desired)": async () => {
+        const { cloudantHelper, stale } = await connectionWithConflict();
+        const merge = (current, desired) => ({ ...current, count: current.count + desired.count });
+        await cloudantHelper.createOrUpdateBulk(db, [stale], { onConflict: 'merge', merge });
+        const doc = await cloudantHelper.getDocument(db, docId('a'));
+        assert.strictEqual(doc.count, 3);
+        assert.strictEqual(doc.owner, 'first');
+    },
+
+    'createOrUpdateBulk rejects unknown conflict policies': async () => {
+        const cloudantHelper = await memoryConnection();
+        await assert.rejects(cloudantHelper.createOrUpdateBulk(db, [], { onConflict: 'ignore' }), { name: 'ValidationError' });
+        await assert.rejects(cloudantHelper.createOrUpdateBulk(db, [], { onConflict: 'merge' }), { name: 'ValidationError' });
+    },
+};
+
+module.exports = tests;
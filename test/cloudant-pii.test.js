@@ -0,0 +1,134 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const piiCrypto = require('../helpers/pii-crypto-helper');
+const deIdentifierIndexes = require('../cloudant-indexes/deIdentifier.json');
+const {
+    memoryConnection,
+    sharedConnection,
+    withFileSecretStore,
+} = require('./support');
+
+const db = 'test-db';
+const piiEncryption = { keyName: 'test-pii', indexKeyName: 'test-pii-index' };
+
+const keyedConnection = () => memoryConnection({ piiIdSecret: 'test-secret' }, db, deIdentifierIndexes);
+
+// Runs fn(cloudantHelper) on a connection with PII encryption and a file secret store.
+const withEncryption = (fn) => withFileSecretStore(async () => {
+    await piiCrypto.createPiiKey(piiEncryption.keyName);
+    await piiCrypto.createPiiKey(piiEncryption.indexKeyName);
+    return fn(await memoryConnection({ piiEncryption }, db, deIdentifierIndexes));
+});
+
+const allDocs = async (cloudantHelper) => {
+    const { result } = await cloudantHelper.cloudant.postAllDocs({ db, includeDocs: true });
+    return result.rows.map((row) => row.doc).filter((doc) => !doc._id.startsWith('_design/'));
+};
+
+const tests = {
+    'findOrCreatePii returns one pseudonym per PII value': async () => {
+        const cloudantHelper = await keyedConnection();
+        const first = await cloudantHelper.findOrCreatePii(db, 'alice');
+        const again = await cloudantHelper.findOrCreatePii(db, 'alice');
+        const other = await cloudantHelper.findOrCreatePii(db, 'bob');
+        assert.strictEqual(again.dePii, first.dePii);
+        assert.notStrictEqual(other.dePii, first.dePii);
+    },
+
+    'concurrent findOrCreatePii calls converge on one pseudonym': async () => {
+        const cloudantHelper = await keyedConnection();
+        const results = await Promise.all([1, 2, 3, 4, 5].map(() => cloudantHelper.findOrCreatePii(db, 'carol')));
+        assert.strictEqual(new Set(results.map((result) => result.dePii)).size, 1);
+        assert.strictEqual((await allDocs(cloudantHelper)).length, 1);
+    },
+
+    'findOrCreatePii ignores the key order of object PII': async () => {
+        const cloudantHelper = await keyedConnection();
+        const first = await cloudantHelper.findOrCreatePii(db, { name: 'dave', born: 1970 });
+        const again = await cloudantHelper.findOrCreatePii(db, { born: 1970, name: 'dave' });
+        assert.strictEqual(again.dePii, first.dePii);
+    },
+
+    'findOrCreatePii keeps the pseudonym of PII saved by savePii': async () => {
+        const cloudantHelper = await keyedConnection();
+        const saved = await cloudantHelper.savePii(db, 'erin');
+        const found = await cloudantHelper.findOrCreatePii(db, 'erin');
+        assert.strictEqual(found.dePii, saved.dePii);
+    },
+
+    'findOrCreatePii requires piiIdSecret or piiEncryption': async () => {
+        const cloudantHelper = await memoryConnection({}, db);
+        await assert.rejects(cloudantHelper.findOrCreatePii(db, 'frank'), { name: 'ConfigError' });
+    },
+
+    'encrypted PII is stored without plaintext and revealed with its type': () => withEncryption(async (cloudantHelper) => {
+        const text = await cloudantHelper.findOrCreatePii(db, 'grace');
+        const object = await cloudantHelper.findOrCreatePii(db, { name: 'grace', born: 1980 });
+        const docs = await allDocs(cloudantHelper);
+        assert.ok(docs.every((doc) => doc.pii === undefined && doc.piiHash && doc.piiEncrypted));
+        assert.ok(!JSON.stringify(docs).includes('grace'));
+
+        const resolved = await cloudantHelper.resolveDePiiBulk(db, [text.dePii, object.dePii]);
+        assert.deepStrictEqual(resolved.map((result) => result.pii), ['grace', { name: 'grace', born: 1980 }]);
+        const [found] = await cloudantHelper.findByQuery(db, { pii: 'grace' });
+        assert.strictEqual(found.dePii, text.dePii);
+        const reordered = await cloudantHelper.findOrCreatePii(db, { born: 1980, name: 'grace' });
+        assert.strictEqual(reordered.dePii, object.dePii);
+    }),
+
+    'encrypted PII is still found after the keys are rotated': () => withEncryption(async (cloudantHelper) => {
+        const before = await cloudantHelper.findOrCreatePii(db, 'heidi');
+        await piiCrypto.createPiiKey(piiEncryption.indexKeyName);
+        await piiCrypto.createPiiKey(piiEncryption.keyName);
+        const after = await cloudantHelper.findOrCreatePii(db, 'heidi');
+        assert.strictEqual(after.dePii, before.dePii);
+        assert.strictEqual((await cloudantHelper.resolveDePii(db, before.dePii)).pii, 'heidi');
+    }),
+
+    'PII saved in plaintext before encryption was enabled keeps its pseudonym': () => withEncryption(async (cloudantHelper) => {
+        const plaintext = await sharedConnection(cloudantHelper, { piiIdSecret: 'test-secret' });
+        const saved = await plaintext.savePii(db, 'ivan');
+        const found = await cloudantHelper.findOrCreatePii(db, 'ivan');
+        assert.strictEqual(found.dePii, saved.dePii);
+        assert.deepStrictEqual(await cloudantHelper.resolveDePii(db, saved.dePii), { dePii: saved.dePii, found: true, pii: 'ivan' });
+    }),
+
+    'resolveDePiiBulk answers in input order and reports unknown pseudonyms': async () => {
+        const cloudantHelper = await keyedConnection();
+        const judy = await cloudantHelper.findOrCreatePii(db, 'judy');
+        const ken = await cloudantHelper.findOrCreatePii(db, 'ken');
+        const resolved = await cloudantHelper.resolveDePiiBulk(db, [ken.dePii, 'unknown', judy.dePii, ken.dePii]);
+        assert.deepStrictEqual(resolved, [
+            { dePii: ken.dePii, found: true, pii: 'ken' },
+            { dePii: 'unknown', found: false },
+            { dePii: judy.dePii, found: true, pii: 'judy' },
+            { dePii: ken.dePii, found: true, pii: 'ken' },
+        ]);
+    },
+
+    'resolveDePiiBulk rejects unauthorized re-identification': async () => {
+        const cloudantHelper = await keyedConnection();
+        const { dePii } = await cloudantHelper.findOrCreatePii(db, 'leo');
+        let request;
+        const authorize = async (params) => {
+            request = params;
+            return false;
+        };
+        await assert.rejects(
+            cloudantHelper.resolveDePiiBulk(db, [dePii], { authorize, context: { user: 'auditor' } }),
+            { name: 'AuthError', status: 403 },
+        );
+        assert.deepStrictEqual(request, { dePiis: [dePii], context: { user: 'auditor' } });
+    },
+};
+
+module.exports = tests;
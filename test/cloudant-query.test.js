@@ -0,0 +1,87 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const { dbPartitionKey, memoryConnection } = require('./support');
+
+const db = 'test-db';
+
+const connectionWithDocs = async (count) => {
+    const cloudantHelper = await memoryConnection();
+    for (let i = 1; i <= count; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await cloudantHelper.cloudant.postDocument({
+            db,
+            document: { _id: `${dbPartitionKey}:doc-${i}`, type: 'item', rank: i, group: i % 2 ? 'odd' : 'even' },
+        });
+    }
+    return cloudantHelper;
+};
+
+const collect = async (iterator) => {
+    const docs = [];
+    for await (const doc of iterator) {
+        docs.push(doc);
+    }
+    return docs;
+};
+
+const tests = {
+    'findByQuery applies fields, sort and limit': async () => {
+        const cloudantHelper = await connectionWithDocs(5);
+        const docs = await cloudantHelper.findByQuery(db, { group: 'odd' }, {
+            fields: ['rank'],
+            sort: [{ rank: 'desc' }],
+            limit: 2,
+        });
+        assert.deepStrictEqual(docs, [{ rank: 5 }, { rank: 3 }]);
+    },
+
+    'findByQuery only returns documents of the connection partition': async () => {
+        const cloudantHelper = await connectionWithDocs(2);
+        await cloudantHelper.cloudant.postDocument({ db, document: { _id: 'other:doc-1', type: 'item', rank: 1 } });
+        const docs = await cloudantHelper.findByQuery(db, { type: 'item' });
+        assert.strictEqual(docs.length, 2);
+        assert.ok(docs.every((doc) => doc._id.startsWith(`${dbPartitionKey}:`)));
+    },
+
+    'iterateByQuery follows bookmarks through every page': async () => {
+        const cloudantHelper = await connectionWithDocs(7);
+        const docs = await collect(cloudantHelper.iterateByQuery(db, { type: 'item' }, {
+            sort: [{ rank: 'asc' }],
+            limit: 3,
+        }));
+        assert.deepStrictEqual(docs.map((doc) => doc.rank), [1, 2, 3, 4, 5, 6, 7]);
+    },
+
+    'findPageByQuery continues after the last document even if it was deleted': async () => {
+        const cloudantHelper = await connectionWithDocs(6);
+        const options = { sort: [{ rank: 'asc' }], limit: 2 };
+        const first = await cloudantHelper.findPageByQuery(db, { type: 'item' }, options);
+        await Promise.all(first.docs.map((doc) => cloudantHelper.cloudant.deleteDocument({
+            db,
+            docId: doc._id,
+            rev: doc._rev,
+        })));
+        const second = await cloudantHelper.findPageByQuery(db, { type: 'item' }, { ...options, bookmark: first.bookmark });
+        assert.deepStrictEqual(second.docs.map((doc) => doc.rank), [3, 4]);
+    },
+
+    'the bookmark of an empty page starts from the beginning': async () => {
+        const cloudantHelper = await connectionWithDocs(0);
+        const empty = await cloudantHelper.findPageByQuery(db, { type: 'item' }, { limit: 2 });
+        assert.deepStrictEqual(empty.docs, []);
+        await cloudantHelper.cloudant.postDocument({ db, document: { _id: `${dbPartitionKey}:late`, type: 'item' } });
+        const page = await cloudantHelper.findPageByQuery(db, { type: 'item' }, { limit: 2, bookmark: empty.bookmark });
+        assert.deepStrictEqual(page.docs.map((doc) => doc._id), [`${dbPartitionKey}:late`]);
+    },
+};
+
+module.exports = tests;
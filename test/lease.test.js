@@ -0,0 +1,74 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const { acquireLease, withLease } = require('../helpers/lease-helper');
+const { failNextCalls, memoryConnection, sleep } = require('./support');
+
+const db = 'test-db';
+
+const tests = {
+    'withLease runs holders of the same lease one at a time': async () => {
+        const cloudantHelper = await memoryConnection();
+        let active = 0;
+        let maxActive = 0;
+        const holder = async () => {
+            active += 1;
+            maxActive = Math.max(maxActive, active);
+            await sleep(20);
+            active -= 1;
+        };
+        const options = { retryInterval: 5 };
+        await Promise.all([1, 2, 3].map(() => withLease(cloudantHelper, db, 'serial', holder, options)));
+        assert.strictEqual(maxActive, 1);
+    },
+
+    'withLease renews the lease while fn runs longer than the ttl': async () => {
+        const cloudantHelper = await memoryConnection();
+        const options = { ttl: 60, retryInterval: 5, timeout: 20 };
+        await withLease(cloudantHelper, db, 'long', async (lease) => {
+            await sleep(150);
+            lease.check();
+            await assert.rejects(acquireLease(cloudantHelper, db, 'long', options), { name: 'ConflictError' });
+        }, options);
+    },
+
+    'withLease returns the result of fn when the release fails': async () => {
+        const cloudantHelper = await memoryConnection();
+        failNextCalls(cloudantHelper.cloudant, 'deleteDocument', 503);
+        const result = await withLease(cloudantHelper, db, 'release', async () => 'created');
+        assert.strictEqual(result, 'created');
+    },
+
+    'withLease rethrows the error of fn when the release fails as well': async () => {
+        const cloudantHelper = await memoryConnection();
+        failNextCalls(cloudantHelper.cloudant, 'deleteDocument', 503);
+        await assert.rejects(
+            withLease(cloudantHelper, db, 'release', async () => {
+                throw new Error('fn failed');
+            }),
+            { message: 'fn failed' },
+        );
+    },
+
+    'a lease taken over after it expired fails check and renew': async () => {
+        const cloudantHelper = await memoryConnection();
+        const options = { ttl: 30, retryInterval: 5, timeout: 200 };
+        const first = await acquireLease(cloudantHelper, db, 'expiring', options);
+        const second = await acquireLease(cloudantHelper, db, 'expiring', options);
+        assert.notStrictEqual(second.owner, first.owner);
+        assert.throws(() => first.check(), { name: 'ConflictError' });
+        assert.strictEqual(await first.renew(), false);
+        second.check();
+        await second.release();
+    },
+};
+
+module.exports = tests;
@@ -0,0 +1,83 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const assert = require('assert');
+
+const { purgeExpiredDocuments } = require('../helpers/retention-helper');
+const { dbPartitionKey, memoryConnection } = require('./support');
+
+const db = 'test-db';
+const day = 24 * 60 * 60 * 1000;
+const docId = (name) => `${dbPartitionKey}:${name}`;
+
+// Gateway listener documents from [ageInDays, status] pairs, named doc-<index>-<age>-<status>.
+const connectionWithListenerDocs = async (docs) => {
+    const cloudantHelper = await memoryConnection();
+    await cloudantHelper.createOrUpdateBulk(db, docs.map(([age, status], i) => ({
+        _id: docId(`doc-${i}-${age}-${status}`),
+        status,
+        latestTimestamp: Date.now() - age * day,
+    })));
+    return cloudantHelper;
+};
+
+const remainingIds = async (cloudantHelper) => {
+    const docs = await cloudantHelper.findByQuery(db, { latestTimestamp: { $gt: 0 } });
+    return docs.map((doc) => doc._id).sort();
+};
+
+const tests = {
+    'purgeExpiredDocuments deletes documents older than maxAge across pages': async () => {
+        const cloudantHelper = await connectionWithListenerDocs([
+            [10, 'done'], [9, 'done'], [8, 'done'], [7, 'done'], [6, 'done'], [1, 'done'],
+        ]);
+        const report = await purgeExpiredDocuments(cloudantHelper, db, { maxAge: 5 * day, batchSize: 2 });
+        assert.strictEqual(report.matched, 5);
+        assert.strictEqual(report.removed.length, 5);
+        assert.deepStrictEqual(await remainingIds(cloudantHelper), [docId('doc-5-1-done')]);
+    },
+
+    'purgeExpiredDocuments only deletes documents with the given status': async () => {
+        const cloudantHelper = await connectionWithListenerDocs([[10, 'done'], [10, 'pending'], [10, 'failed']]);
+        await purgeExpiredDocuments(cloudantHelper, db, { maxAge: day, status: ['done', 'failed'] });
+        assert.deepStrictEqual(await remainingIds(cloudantHelper), [docId('doc-1-10-pending')]);
+    },
+
+    'purgeExpiredDocuments reports without deleting in a dry run': async () => {
+        const cloudantHelper = await connectionWithListenerDocs([[10, 'done'], [1, 'done']]);
+        const report = await purgeExpiredDocuments(cloudantHelper, db, { maxAge: 5 * day, dryRun: true });
+        assert.deepStrictEqual(report.removed, [docId('doc-0-10-done')]);
+        assert.strictEqual((await remainingIds(cloudantHelper)).length, 2);
+    },
+
+    'purgeExpiredDocuments archives documents before deleting them': async () => {
+        const cloudantHelper = await connectionWithListenerDocs([[10, 'done'], [9, 'done']]);
+        await cloudantHelper.getOrCreateDB('test-archive');
+        const archived = [];
+        const report = await purgeExpiredDocuments(cloudantHelper, db, {
+            maxAge: day,
+            archiveDb: 'test-archive',
+            archive: async (docs) => {
+                archived.push(...docs.map((doc) => doc._id));
+            },
+        });
+        assert.strictEqual(report.archived, 2);
+        assert.strictEqual(archived.length, 2);
+        const copies = await cloudantHelper.findByQuery('test-archive', { status: 'done' });
+        assert.strictEqual(copies.length, 2);
+        assert.deepStrictEqual(await remainingIds(cloudantHelper), []);
+    },
+
+    'purgeExpiredDocuments requires a positive maxAge': async () => {
+        const cloudantHelper = await memoryConnection();
+        await assert.rejects(purgeExpiredDocuments(cloudantHelper, db, {}), { name: 'ValidationError' });
+    },
+};
+
+module.exports = tests;
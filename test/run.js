@@ -0,0 +1,48 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log4js = require('log4js');
+
+// Configures the helpers' JSON logging first, so it can be replaced below.
+require('../helpers/logger');
+
+// Helper logs are dropped, so that only test results are printed.
+log4js.configure({
+    appenders: {
+        out: { type: 'console' },
+        quiet: { type: 'logLevelFilter', appender: 'out', level: 'off' },
+    },
+    categories: {
+        default: { appenders: ['quiet'], level: 'debug' },
+    },
+});
+
+// Runs every test/*.test.js file. A test file exports { '<test name>': async () => { ... } };
+// a test fails when it throws.
+(async () => {
+    const files = fs.readdirSync(__dirname).filter((file) => file.endsWith('.test.js')).sort();
+    let failed = 0;
+    for (const file of files) {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        const tests = require(path.join(__dirname, file));
+        for (const [name, test] of Object.entries(tests)) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await test();
+                console.log(`ok - ${file}: ${name}`);
+            } catch (error) {
+                failed += 1;
+                console.log(`not ok - ${file}: ${name}\n${error.stack}`);
+            }
+        }
+    }
+    process.exitCode = failed ? 1 : 0;
+})();
@@ -0,0 +1,99 @@
+/*
+ *
+ *
+ * (c) Copyright Merative US L.P. and others 2020-2022
+ *
+ * SPDX-Licence-Identifier: Apache 2.0
+ *
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CloudantHelperLib = require('../helpers/cloudant-helper');
+const helperKeyProtect = require('../helpers/keyprotect-helper');
+const piiCrypto = require('../helpers/pii-crypto-helper');
+
+const dbPartitionKey = 'test';
+let connectionCount = 0;
+
+// Registers a connection to a new in-memory Cloudant and creates db in it. Connection
+// names are unique, as connections are registered for the whole process.
+const memoryConnection = async (config = {}, db = 'test-db', indexes = []) => {
+    connectionCount += 1;
+    const cloudantHelper = CloudantHelperLib.createConnection(`test-${connectionCount}`, {
+        dbPartitionKey,
+        connection: { backend: 'memory' },
+        ...config,
+    });
+    await cloudantHelper.setupCloudant();
+    await cloudantHelper.getOrCreateDB(db, indexes);
+    return cloudantHelper;
+};
+
+// Another connection to the same in-memory Cloudant, e.g. with a different PII config.
+const sharedConnection = async (cloudantHelper, config) => {
+    connectionCount += 1;
+    const other = CloudantHelperLib.createConnection(`test-${connectionCount}`, {
+        dbPartitionKey,
+        connection: { backend: 'memory' },
+        ...config,
+    });
+    other.cloudant = cloudantHelper.cloudant;
+    return other;
+};
+
+// Runs fn() with helperKeyProtect on a new file secret store, then removes the store.
+const withFileSecretStore = async (fn) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hcls-common-test-'));
+    helperKeyProtect.setConfig({ backend: 'file', filePath: path.join(dir, 'keys.json'), passphrase: 'test' });
+    piiCrypto.clearKeyCache();
+    try {
+        return await fn();
+    } finally {
+        piiCrypto.clearKeyCache();
+        helperKeyProtect.setConfig({});
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once condition() is true; throws after timeout ms.
+const waitFor = async (condition, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() >= deadline) {
+            throw new Error(`Condition not met within ${timeout} ms`);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(10);
+    }
+};
+
+// Makes the next `count` calls of client[method] fail with an error of the given status.
+const failNextCalls = (client, method, status, count = 1) => {
+    const original = client[method];
+    let remaining = count;
+    client[method] = async (...args) => {
+        if (remaining > 0) {
+            remaining -= 1;
+            const error = new Error(`Injected ${status} failure of ${method}`);
+            error.status = status;
+            throw error;
+        }
+        return original.apply(client, args);
+    };
+};
+
+module.exports = {
+    dbPartitionKey,
+    memoryConnection,
+    sharedConnection,
+    withFileSecretStore,
+    sleep,
+    waitFor,
+    failNextCalls
+};